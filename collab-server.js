@@ -0,0 +1,283 @@
+// Relay server for collaborative editing. Serves Mind Mapper and passes map operations and
+// cursors between everyone in the same room over WebSocket. Uses Node's built-in modules only:
+//
+//     node collab-server.js [port]
+//
+// then open http://localhost:8765 (or this computer's address) and join a room with Share.
+// Rooms keep the latest value of every map property in memory, so people joining later get
+// the current map; a room is forgotten when the last person leaves it. Clients that were
+// disconnected send their copy of the map again when they come back.
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT) || 8765;
+const ROOT = __dirname;
+const COLLAB_PATH = '/collab';
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 64 * 1024 * 1024; // Node images travel as data URLs
+const PING_INTERVAL = 30000; // Milliseconds; connections that miss a ping are dropped
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+const rooms = new Map(); // name -> { name, registers: Map of register key -> op, clients: Set of connections }
+
+// Same rule as isNewerCollabOp() in script.js: the higher clock wins, ties go to the higher client id
+function isNewerOp(op, current) {
+    return !current || op.clock > current.clock || (op.clock === current.clock && op.client > current.client);
+}
+
+function isValidOp(op) {
+    return op && typeof op === 'object' && ['node', 'relationship', 'map'].includes(op.kind) &&
+        typeof op.id === 'string' && typeof op.prop === 'string' && typeof op.client === 'string' &&
+        Number.isFinite(op.clock);
+}
+
+function serveFile(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+    const filePath = path.resolve(ROOT, '.' + (pathname === '/' ? '/index.html' : pathname));
+    // Stay inside the app folder and keep hidden files such as .git private
+    if (!filePath.startsWith(ROOT + path.sep) || path.relative(ROOT, filePath).split(path.sep).some(part => part.startsWith('.'))) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+// A WebSocket connection (RFC 6455) on a socket that completed the handshake. Only text
+// messages are used; onMessage receives each complete one.
+function createConnection(socket, onMessage, onClose) {
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let closed = false;
+    const connection = { alive: true, room: null, client: null, presence: null };
+
+    const sendFrame = (opcode, payload) => {
+        if (closed) {
+            return;
+        }
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        socket.write(Buffer.concat([header, payload]));
+    };
+
+    const close = () => {
+        if (!closed) {
+            sendFrame(0x8, Buffer.alloc(0));
+            closed = true;
+            socket.end();
+            onClose(connection);
+        }
+    };
+
+    // Parses every complete frame in the buffer; client frames are always masked
+    const readFrames = () => {
+        while (buffer.length >= 2) {
+            const opcode = buffer[0] & 0x0f;
+            const isFinal = (buffer[0] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) {
+                    return;
+                }
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) {
+                    return;
+                }
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > MAX_MESSAGE_SIZE || (buffer[1] & 0x80) === 0) {
+                close();
+                return;
+            }
+            if (buffer.length < offset + 4 + length) {
+                return;
+            }
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            buffer = buffer.subarray(offset + 4 + length);
+
+            if (opcode === 0x8) {
+                close();
+                return;
+            } else if (opcode === 0x9) {
+                sendFrame(0xa, payload);
+            } else if (opcode === 0xa) {
+                connection.alive = true;
+            } else if (opcode === 0x1 || opcode === 0x0) {
+                fragments.push(payload);
+                if (isFinal) {
+                    const message = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    onMessage(connection, message);
+                }
+            }
+        }
+    };
+
+    socket.on('data', data => {
+        buffer = Buffer.concat([buffer, data]);
+        readFrames();
+    });
+    socket.on('close', () => {
+        if (!closed) {
+            closed = true;
+            onClose(connection);
+        }
+    });
+    socket.on('error', error => {
+        console.error('Connection error:', error.message);
+        socket.destroy();
+    });
+
+    connection.send = message => sendFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    connection.ping = () => sendFrame(0x9, Buffer.alloc(0));
+    connection.close = close;
+    return connection;
+}
+
+function broadcast(room, message, except) {
+    room.clients.forEach(other => {
+        if (other !== except) {
+            other.send(message);
+        }
+    });
+}
+
+function handleMessage(connection, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        console.error('Ignoring a message that is not JSON');
+        return;
+    }
+    if (message.type === 'join' && !connection.room && typeof message.room === 'string' && typeof message.client === 'string') {
+        const name = message.room.trim() || 'default';
+        if (!rooms.has(name)) {
+            rooms.set(name, { name: name, registers: new Map(), clients: new Set() });
+        }
+        const room = rooms.get(name);
+        connection.room = room;
+        connection.client = message.client;
+        connection.presence = { client: message.client, name: String(message.name || 'Guest'), cursor: null, selection: [] };
+        connection.send({
+            type: 'welcome',
+            ops: [...room.registers.values()],
+            peers: [...room.clients].map(other => other.presence)
+        });
+        room.clients.add(connection);
+        broadcast(room, { type: 'presence', ...connection.presence }, connection);
+        console.log(`${connection.presence.name} joined "${name}" (${room.clients.size} connected)`);
+    } else if (message.type === 'ops' && connection.room && Array.isArray(message.ops)) {
+        const ops = message.ops.filter(isValidOp);
+        ops.forEach(op => {
+            const key = `${op.kind}:${op.id}:${op.prop}`;
+            if (isNewerOp(op, connection.room.registers.get(key))) {
+                connection.room.registers.set(key, op);
+            }
+        });
+        broadcast(connection.room, { type: 'ops', ops: ops }, connection);
+    } else if (message.type === 'presence' && connection.room) {
+        connection.presence = {
+            client: connection.client,
+            name: String(message.name || connection.presence.name),
+            cursor: message.cursor || null,
+            selection: Array.isArray(message.selection) ? message.selection : []
+        };
+        broadcast(connection.room, { type: 'presence', ...connection.presence }, connection);
+    }
+}
+
+function handleClose(connection) {
+    const room = connection.room;
+    if (room) {
+        room.clients.delete(connection);
+        if (room.clients.size === 0) {
+            rooms.delete(room.name); // Frees its registers, images included
+            console.log(`"${room.name}" closed`);
+        } else {
+            broadcast(room, { type: 'leave', client: connection.client });
+        }
+    }
+}
+
+const server = http.createServer(serveFile);
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (new URL(request.url, 'http://localhost').pathname !== COLLAB_PATH || !key ||
+        String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+    createConnection(socket, handleMessage, handleClose);
+});
+
+// Drops connections that stopped answering, e.g. of laptops that went to sleep
+setInterval(() => {
+    rooms.forEach(room => room.clients.forEach(connection => {
+        if (!connection.alive) {
+            connection.close();
+            return;
+        }
+        connection.alive = false;
+        connection.ping();
+    }));
+}, PING_INTERVAL);
+
+server.listen(PORT, () => {
+    console.log(`Mind Mapper collaboration server on http://localhost:${PORT} (WebSocket ${COLLAB_PATH})`);
+});
@@ -1,14 +1,27 @@
 const canvas = document.getElementById('mindmap-canvas');
-const ctx = canvas.getContext('2d');
+const minimapCanvas = document.getElementById('minimap-canvas');
+const notesPanel = document.getElementById('notes-panel');
+const notesTitle = document.getElementById('notes-title');
+const noteEditor = document.getElementById('note-editor');
+const notePreview = document.getElementById('note-preview');
+const noteModeButton = document.getElementById('note-mode');
+let ctx = canvas.getContext('2d'); // Swapped temporarily while rendering exports
 
 let nodes = [];
-let connections = [];
+let connections = []; // Parent/child links { from, to } that make up the hierarchy
+let relationships = []; // Cross links { id, from, to, label, direction } outside the hierarchy
 let camera = {
     x: 0,
     y: 0,
     zoom: 1
 };
-let selectedNode = null;
+let selectedNode = null; // Primary selection: target of text editing, Tab, Enter and paste
+let selectedNodes = new Set(); // Every selected node, including selectedNode
+let selectedRelationship = null; // Relationship selected by clicking its curve; no nodes are selected meanwhile
+let selectionRect = null; // Rubber-band rectangle in screen coordinates while dragging on empty canvas
+let searchResults = []; // Nodes matching the find bar query, in outline order
+let searchResultSet = new Set();
+let searchResultIndex = -1; // Result the camera was last moved to
 let draggingNode = null;
 let draggingNodeInitialPos = { x: 0, y: 0 };
 let draggedDescendantOffsets = new Map(); // Stores {node: {dx, dy}} for descendants
@@ -16,22 +29,261 @@ let panning = false;
 let lastMousePos = { x: 0, y: 0 };
 let drawingConnection = false;
 let connectionStartNode = null;
-let textEditing = false;
-let isFirstKeyAfterSelection = false; // New flag for text editing
+let activeTouches = new Map(); // pointerId -> latest screen position of every finger on the canvas
+let pinchGesture = null; // { startDistance, startZoom, anchor } while two fingers pan and zoom
+let pressGesture = null; // { pointerId, pointerType, start, time, moved, longPressTimer } of the pointer pressed on the canvas
+let lastTap = null; // { time, x, y } of the last touch or pen tap, to recognise double taps
+let lastPointerType = 'mouse';
+let textEditing = false; // True while selectedNode's text is being edited in place
+let textEditOriginalText = null; // Restored when editing is cancelled with Escape
+let textEditorLayout = null; // Line layout of the edited node from the last draw, for caret hit-testing
+let textSelectionAnchor = null; // Caret index where a mouse text selection started
+let compositionRange = null; // [start, end] of text being composed through an IME
 let cursorBlinkInterval = null;
 let cursorVisible = true;
+let graphIndex = null; // Parent/child lookup tables, see getGraphIndex()
+let spatialIndex = null; // { cells: Map of 'column,row' -> nodes centred in that grid cell, reach }
+let drawRequested = false; // A redraw is already scheduled for the next animation frame
+let effectiveRadiusCache = new WeakMap(); // node -> { text, radius, value }; measuring text is slow
+let nodeGeometryCache = new WeakMap(); // node -> { text, radius, shape, geometry }
+let minimapCache = null; // { index, image, transform } of the last miniature, see drawMinimap()
+let minimapDragPointer = null; // pointerId dragging the camera through the minimap
+let minimapRefreshTimer = null; // Pending re-render of a miniature that was left stale, see drawMinimap()
+let minimapCollapsed = localStorage.getItem('mindmapMinimapCollapsed') === 'true';
+let notesPanelNode = null; // Node whose note the notes panel shows
+let noteEditing = false; // The notes panel shows the editor rather than the formatted note
+let noteSaveTimer = null; // Pending undo step for typed note text
+let ignoreSavedView = localStorage.getItem('mindmapIgnoreSavedView') === 'true'; // Fit opened maps instead of restoring their view
 
-const MAX_HISTORY_SIZE = 10; // Store last 10 actions
-let history = [];
-let historyPointer = -1;
+const DEFAULT_HISTORY_LIMIT = 500; // Undo steps kept unless changed in the history panel
+const MIN_HISTORY_LIMIT = 10;
+const MAX_HISTORY_LIMIT = 5000;
+const HISTORY_GROUP_INTERVAL = 1000; // Repeated edits of the same nodes within this many ms form one step
+let historyLimit = clampHistoryLimit(parseInt(localStorage.getItem('mindmapHistoryLimit'), 10));
+let history = []; // Recorded operations; history[0] is the state the session started from
+let historyPointer = -1; // Index of the entry matching the current map
+let historyBaseline = null; // Map snapshot after the last recorded operation, diffed by saveState()
+
+const LONG_PRESS_DELAY = 500; // Milliseconds a finger or pen rests on a node before dragging draws a relationship
+const TAP_MOVE_TOLERANCE = 10; // Screen pixels a press may move and still count as a tap
+const DOUBLE_TAP_INTERVAL = 300; // Milliseconds between the taps of a double tap
+const DOUBLE_TAP_DISTANCE = 30; // Screen pixels between the taps of a double tap
 
 const NODE_RADIUS = 60; // Base radius for new nodes
 const MIN_NODE_RADIUS = 30;
 const MAX_NODE_RADIUS = 120;
-const NODE_COLOR = '#5c6bc0'; // Muted Indigo for father nodes
-const NODE_SELECTED_COLOR = '#ffca28'; // This constant will no longer be used for fill, but kept for reference if needed elsewhere
-const TEXT_COLOR = '#333333'; // Dark grey for text
-const LINE_COLOR = '#757575'; // Slightly darker grey for lines
+const SPATIAL_CELL_SIZE = 250; // World units covered by one cell of the hit-testing grid
+const MINIMAP_PADDING = 8; // Pixels between the miniature map and the edge of the minimap
+const MINIMAP_REFRESH_INTERVAL = 250; // Milliseconds between re-renders of the miniature while nodes keep moving
+const MIN_ZOOM = 0.02;
+const MAX_ZOOM = 5;
+const ZOOM_STEP = 1.1; // Zoom factor of one wheel notch
+const ZOOM_BUTTON_STEP = 1.5;
+const FIT_MARGIN = 40; // Screen pixels left around the map when zooming to fit
+const CAMERA_ANIMATION_DURATION = 300; // Milliseconds
+// Colours and fonts of the map. nodeColors[n] fills nodes n levels below their root that have
+// no colour of their own, the last entry every level beyond; text takes whichever of
+// textColors reads best on its background.
+const THEMES = {
+    light: {
+        name: 'Light',
+        background: '#f4f6f9',
+        nodeColors: ['#5c6bc0', '#7986cb', '#9fa8da'], // Muted indigo, lighter further out
+        edgeColor: '#757575',
+        relationshipColor: '#8e24aa', // Purple, so cross links stand apart from the hierarchy
+        textColors: { dark: '#333333', light: '#ffffff' },
+        font: 'Inter, sans-serif',
+        selection: { color: '#00ff00', blur: 25, width: 0 } // Glow; width > 0 adds a solid outline
+    },
+    dark: {
+        name: 'Dark',
+        background: '#1e2127',
+        nodeColors: ['#7e57c2', '#3f51b5', '#00897b', '#546e7a'],
+        edgeColor: '#90a4ae',
+        relationshipColor: '#ce93d8',
+        textColors: { dark: '#212121', light: '#eceff1' },
+        font: 'Inter, sans-serif',
+        selection: { color: '#ffca28', blur: 25, width: 0 }
+    },
+    'high-contrast': {
+        name: 'High contrast',
+        background: '#000000',
+        nodeColors: ['#ffff00', '#00ffff', '#ffffff'],
+        edgeColor: '#ffffff',
+        relationshipColor: '#ff00ff',
+        textColors: { dark: '#000000', light: '#ffffff' },
+        font: 'Verdana, Arial, sans-serif',
+        selection: { color: '#00ff00', blur: 0, width: 4 }
+    }
+};
+const CUSTOM_THEME_PREFIX = 'custom:'; // Ids of imported themes, kept in this browser
+const THEME_FILE_VERSION = 1;
+let customThemes = readCustomThemes(); // Imported themes by id
+let themeId = localStorage.getItem('mindmapTheme') || 'light';
+let theme = getThemeById(themeId); // The theme the map is drawn with; a browser setting, not saved with maps
+const RELATIONSHIP_CURVATURE = 0.2; // Sideways bend of relationship curves relative to their length
+const RELATIONSHIP_HIT_DISTANCE = 6; // Screen pixels from a curve that still select it
+const RELATIONSHIP_DIRECTIONS = {
+    forward: 'Arrow to target',
+    backward: 'Arrow to source',
+    both: 'Arrows at both ends',
+    none: 'No arrows'
+};
+
+// Version 1 files (no version field) reference nodes by array index; version 3 adds relationships;
+// from version 4 nodes without a colour of their own take the theme's colours
+const MAP_FORMAT_VERSION = 4;
+const LEGACY_DEFAULT_NODE_COLORS = ['#5c6bc0', '#ff69b4']; // Given to every new and reparented node before version 4
+
+const BRANCH_STYLES = {
+    straight: 'Straight lines',
+    curved: 'Curves',
+    elbow: 'Elbows',
+    tapered: 'Tapered (organic)'
+};
+const BRANCH_DASH_PATTERNS = { solid: [], dashed: [10, 6], dotted: [2, 5] }; // In world units
+const DEFAULT_BRANCH_WIDTH = 2;
+const MAX_BRANCH_WIDTH = 20;
+const TAPERED_ROOT_WIDTH = 12; // Width of tapered branches where they leave a root node
+const TAPERED_WIDTH_FACTOR = 0.65; // Each level further from the root is this much thinner
+const DEFAULT_BRANCH_SETTINGS = { style: 'straight', inheritColor: false };
+let branchSettings = { ...DEFAULT_BRANCH_SETTINGS }; // Map-wide branch look, saved with the map
+
+const TASK_PRIORITY_COLORS = ['#d32f2f', '#f57c00', '#fbc02d', '#388e3c', '#1976d2']; // Priority 1 (highest) to 5
+const TASK_OVERDUE_COLOR = '#e53935';
+const TASK_BADGE_SIZE = 16; // Height of the task badges under a node at 100% zoom, in pixels
+const DIMMED_ALPHA = 0.25; // Opacity of nodes and branches dimmed by the task or tag filter
+const TASK_FILTER_MODES = { show: 'Show', dim: 'Dim', hide: 'Hide' };
+let taskFilter = { // What happens to completed and overdue branches; kept in this browser, not in the map
+    completed: readTaskFilterMode('mindmapTaskFilterCompleted'),
+    overdue: readTaskFilterMode('mindmapTaskFilterOverdue')
+};
+let taskStatusCache = null; // { index, validUntil, statuses }, see getTaskStatuses()
+
+const TAG_COLORS = ['#e53935', '#8e24aa', '#3949ab', '#039be5', '#00897b', '#7cb342', '#fdd835', '#fb8c00', '#6d4c41', '#546e7a'];
+const TAG_CHIP_SIZE = 14; // Height of tag chips under a node at 100% zoom, in pixels
+let tagDefinitions = []; // Map-wide { name, color, icon } of tags in legend order, saved with the map
+let tagFilter = new Set(); // Tags ticked in the legend; nodes without any of them fade
+
+const PRESENTATION_ORDERS = { tree: 'Depth-first from the root', path: 'Custom path' };
+let presentationPath = []; // Node ids in the custom slide order, saved with the map; a node may appear twice
+let presentation = null; // { steps, index, visitedIds, revealedIds, cameraBefore } while presenting, see startPresentation()
+let collab = null; // Shared editing session while the map is shared through the relay server, see joinCollaboration()
+
+const TEXT_SHAPE_PADDING = 12; // World units between the text and the outline of shapes that hug it
+const TEXT_SHAPE_WRAP_FACTOR = 4; // Their text wraps at this many times the node radius, so + and - resize them
+
+// Node outlines. `getSize` turns the effective radius into half the width and height of the
+// shape and the size of the box its text is fitted into, in world units; shapes that hug
+// their text are sized by getTextHuggingGeometry() instead. `trace` adds the outline to the
+// current path in screen coordinates and `contains` tests a point relative to the centre.
+// `borderDistance` is the distance from the centre to the outline along the unit vector
+// (ux, uy); shapes without it are measured with `contains`.
+const NODE_SHAPES = {
+    circle: {
+        label: 'Circle',
+        getSize: radius => ({ halfWidth: radius, halfHeight: radius, textWidth: radius * 1.6, textHeight: radius * 1.6 }),
+        trace: (x, y, halfWidth) => ctx.arc(x, y, halfWidth, 0, Math.PI * 2),
+        contains: (dx, dy, halfWidth) => dx * dx + dy * dy <= halfWidth * halfWidth,
+        borderDistance: (ux, uy, halfWidth) => halfWidth
+    },
+    square: {
+        label: 'Rounded square',
+        getSize: radius => ({ halfWidth: radius, halfHeight: radius, textWidth: radius * 1.6, textHeight: radius * 1.6 }),
+        trace: (x, y, halfWidth, halfHeight) => ctx.roundRect(x - halfWidth, y - halfHeight, halfWidth * 2, halfHeight * 2, 10),
+        contains: (dx, dy, halfWidth, halfHeight) => Math.abs(dx) <= halfWidth && Math.abs(dy) <= halfHeight,
+        borderDistance: (ux, uy, halfWidth, halfHeight) => Math.min(halfWidth / Math.abs(ux), halfHeight / Math.abs(uy))
+    },
+    ellipse: {
+        label: 'Ellipse',
+        getSize: radius => ({ halfWidth: radius * 1.4, halfHeight: radius * 0.9, textWidth: radius * 2, textHeight: radius * 1.2 }),
+        trace: (x, y, halfWidth, halfHeight) => ctx.ellipse(x, y, halfWidth, halfHeight, 0, 0, Math.PI * 2),
+        contains: (dx, dy, halfWidth, halfHeight) => (dx / halfWidth) ** 2 + (dy / halfHeight) ** 2 <= 1,
+        borderDistance: (ux, uy, halfWidth, halfHeight) => 1 / Math.hypot(ux / halfWidth, uy / halfHeight)
+    },
+    pill: {
+        label: 'Pill',
+        getSize: radius => ({ halfWidth: radius * 1.6, halfHeight: radius * 0.7, textWidth: radius * 2.4, textHeight: radius * 1.1 }),
+        trace: (x, y, halfWidth, halfHeight) => ctx.roundRect(x - halfWidth, y - halfHeight, halfWidth * 2, halfHeight * 2, halfHeight),
+        contains: (dx, dy, halfWidth, halfHeight) => {
+            const straightX = Math.max(Math.abs(dx) - (halfWidth - halfHeight), 0); // Distance past the straight part
+            return straightX * straightX + dy * dy <= halfHeight * halfHeight;
+        }
+    },
+    diamond: {
+        label: 'Diamond',
+        getSize: radius => ({ halfWidth: radius * 1.6, halfHeight: radius * 1.6, textWidth: radius * 1.6, textHeight: radius * 1.6 }),
+        trace: (x, y, halfWidth, halfHeight) => {
+            ctx.moveTo(x, y - halfHeight);
+            ctx.lineTo(x + halfWidth, y);
+            ctx.lineTo(x, y + halfHeight);
+            ctx.lineTo(x - halfWidth, y);
+            ctx.closePath();
+        },
+        contains: (dx, dy, halfWidth, halfHeight) => Math.abs(dx) / halfWidth + Math.abs(dy) / halfHeight <= 1,
+        borderDistance: (ux, uy, halfWidth, halfHeight) => 1 / (Math.abs(ux) / halfWidth + Math.abs(uy) / halfHeight)
+    },
+    cloud: {
+        label: 'Cloud',
+        getSize: radius => ({ halfWidth: radius * 1.5, halfHeight: radius, textWidth: radius * 1.9, textHeight: radius * 1.2 }),
+        trace: (x, y, halfWidth, halfHeight) => {
+            // Bumps bulging out between points on an inner ellipse reach about the full size
+            const bumps = 10;
+            const pointAt = (angle, scale) => ({
+                x: x + Math.cos(angle) * halfWidth * scale,
+                y: y + Math.sin(angle) * halfHeight * scale
+            });
+            const first = pointAt(0, 0.85);
+            ctx.moveTo(first.x, first.y);
+            for (let i = 1; i <= bumps; i++) {
+                const control = pointAt((i - 0.5) / bumps * Math.PI * 2, 1.1);
+                const point = pointAt(i / bumps * Math.PI * 2, 0.85);
+                ctx.quadraticCurveTo(control.x, control.y, point.x, point.y);
+            }
+            ctx.closePath();
+        },
+        contains: (dx, dy, halfWidth, halfHeight) => (dx / halfWidth) ** 2 + (dy / halfHeight) ** 2 <= 1,
+        borderDistance: (ux, uy, halfWidth, halfHeight) => 0.95 / Math.hypot(ux / halfWidth, uy / halfHeight)
+    },
+    underline: {
+        label: 'Underline only',
+        hugsText: true,
+        outlineOnly: true, // Text on a line in the node's colour, without a filled shape
+        trace: (x, y, halfWidth, halfHeight) => {
+            ctx.moveTo(x - halfWidth, y + halfHeight);
+            ctx.lineTo(x + halfWidth, y + halfHeight);
+        },
+        contains: (dx, dy, halfWidth, halfHeight) => Math.abs(dx) <= halfWidth && Math.abs(dy) <= halfHeight,
+        borderDistance: (ux, uy, halfWidth, halfHeight) => Math.min(halfWidth / Math.abs(ux), halfHeight / Math.abs(uy))
+    },
+    rectangle: {
+        label: 'Rectangle fitting the text',
+        hugsText: true,
+        trace: (x, y, halfWidth, halfHeight) => ctx.roundRect(x - halfWidth, y - halfHeight, halfWidth * 2, halfHeight * 2, 10),
+        contains: (dx, dy, halfWidth, halfHeight) => Math.abs(dx) <= halfWidth && Math.abs(dy) <= halfHeight,
+        borderDistance: (ux, uy, halfWidth, halfHeight) => Math.min(halfWidth / Math.abs(ux), halfHeight / Math.abs(uy))
+    }
+};
+
+// On-screen toolbar for actions that otherwise need a keyboard, e.g. on tablets
+const NODE_TOOLBAR_ACTIONS = {
+    'toolbar-add-child': { isEnabled: () => !!selectedNode, run: addChildNode },
+    'toolbar-add-sibling': { isEnabled: () => !!selectedNode && !!getParentNode(selectedNode), run: addSiblingNode },
+    'toolbar-edit': { isEnabled: () => !!selectedNode, run: () => startTextEditing(selectedNode, 'end') },
+    'toolbar-fold': { isEnabled: () => !!selectedNode && hasChildren(selectedNode), run: toggleFoldOfSelection },
+    'toolbar-color': { isEnabled: () => !!selectedNode, run: openNodeColorPicker },
+    'toolbar-note': { isEnabled: () => !!selectedNode, run: openNotesPanel },
+    'toolbar-delete': { isEnabled: () => !!selectedNode || !!selectedRelationship, run: deleteSelection },
+    'toolbar-undo': { isEnabled: () => historyPointer > 0, run: undo },
+    'toolbar-redo': { isEnabled: () => historyPointer < history.length - 1, run: redo }
+};
+
+// Called by draw() so the buttons always match the selection and history
+function updateNodeToolbar() {
+    Object.entries(NODE_TOOLBAR_ACTIONS).forEach(([id, action]) => {
+        document.getElementById(id).disabled = !action.isEnabled();
+    });
+}
 
 function resizeCanvas() {
     canvas.width = window.innerWidth;
@@ -40,12 +292,23 @@ function resizeCanvas() {
 }
 
 window.addEventListener('resize', resizeCanvas);
+document.body.style.background = theme.background;
 resizeCanvas();
 
+// Text is measured with a fallback font until Inter has loaded
+if (document.fonts) {
+    document.fonts.addEventListener('loadingdone', () => {
+        effectiveRadiusCache = new WeakMap();
+        nodeGeometryCache = new WeakMap();
+        draw();
+    });
+}
+
 function worldToScreen(x, y) {
+    // Measure against the active render target so exports can draw off-screen
     return {
-        x: (x - camera.x) * camera.zoom + canvas.width / 2,
-        y: (y - camera.y) * camera.zoom + canvas.height / 2
+        x: (x - camera.x) * camera.zoom + ctx.canvas.width / 2,
+        y: (y - camera.y) * camera.zoom + ctx.canvas.height / 2
     };
 }
 
@@ -56,62 +319,199 @@ function screenToWorld(x, y) {
     };
 }
 
-function getNodeLevel(node) {
-    let level = 0;
-    let queue = [{ node: node, currentLevel: 0 }];
-    let visited = new Set();
+// Generates a persistent unique id for a node. Connections reference nodes by this id,
+// so it must survive reordering, deletion and merging of maps.
+function generateNodeId() {
+    if (window.crypto && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return 'node-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+function createNode(x, y, properties = {}) {
+    return {
+        id: generateNodeId(),
+        x: x,
+        y: y,
+        text: 'Father Node',
+        type: 'father',
+        shape: 'circle',
+        color: null, // Own fill colour; null follows the theme, see getNodeColor()
+        radius: NODE_RADIUS,
+        url: null,
+        note: '', // Markdown shown in the notes panel
+        done: null, // Task checkbox: null for none, otherwise whether it is ticked
+        priority: null, // 1 (highest) to 5
+        dueDate: null, // 'YYYY-MM-DD'
+        progress: null, // Percent complete; nodes with tasks below them show those instead
+        tags: [], // Tag names; the array is replaced, never changed in place, so history sees the change
+        folded: false, // New property for folding/unfolding
+        image: null, // Will store the actual Image object
+        imageDataURL: null, // Will store the Data URL string for saving
+        imageScale: 1.0, // New property for image scaling
+        ...properties
+    };
+}
 
-    while (queue.length > 0) {
-        let { node: currentNode, currentLevel } = queue.shift();
+// Lookup tables for the hierarchy, so graph queries do not scan nodes and connections.
+// Rebuilt on first use after nodes or connections are replaced, grown or shrunk; code
+// that rewires the arrays in place without changing their length must call invalidateGraphIndex().
+function invalidateGraphIndex() {
+    graphIndex = null;
+    invalidateSpatialIndex();
+}
 
-        if (visited.has(currentNode)) {
-            continue;
+function getGraphIndex() {
+    if (graphIndex && graphIndex.nodes === nodes && graphIndex.nodeCount === nodes.length &&
+        graphIndex.connections === connections && graphIndex.connectionCount === connections.length) {
+        return graphIndex;
+    }
+    const nodesById = new Map();
+    const orderById = new Map(); // Position in nodes, i.e. drawing order
+    nodes.forEach((node, index) => {
+        nodesById.set(node.id, node);
+        orderById.set(node.id, index);
+    });
+    const parentById = new Map();
+    const childrenById = new Map();
+    connections.forEach(conn => {
+        const parentNode = nodesById.get(conn.from);
+        const childNode = nodesById.get(conn.to);
+        if (!parentNode || !childNode) {
+            return;
         }
-        visited.add(currentNode);
+        if (!parentById.has(conn.to)) {
+            parentById.set(conn.to, parentNode); // The first connection into a node is its parent
+        }
+        if (!childrenById.has(conn.from)) {
+            childrenById.set(conn.from, []);
+        }
+        childrenById.get(conn.from).push(childNode);
+    });
+    graphIndex = {
+        nodes: nodes,
+        nodeCount: nodes.length,
+        connections: connections,
+        connectionCount: connections.length,
+        nodesById: nodesById,
+        orderById: orderById,
+        parentById: parentById,
+        childrenById: childrenById
+    };
+    invalidateSpatialIndex();
+    return graphIndex;
+}
 
-        // Find parents of the current node
-        const parentConnections = connections.filter(c => nodes[c[1]] === currentNode);
-        if (parentConnections.length > 0) {
-            for (const conn of parentConnections) {
-                const parentNode = nodes[conn[0]];
-                level = Math.max(level, currentLevel + 1);
-                queue.push({ node: parentNode, currentLevel: currentLevel + 1 });
-            }
+function getNodeById(id) {
+    return getGraphIndex().nodesById.get(id) || null;
+}
+
+function getParentNode(node) {
+    return getGraphIndex().parentById.get(node.id) || null;
+}
+
+function getChildNodes(node) {
+    const children = getGraphIndex().childrenById.get(node.id);
+    return children ? children.slice() : [];
+}
+
+function selectNode(node) {
+    selectedNode = node;
+    selectedNodes = new Set(node ? [node] : []);
+    selectedRelationship = null;
+}
+
+function clearSelection() {
+    selectNode(null);
+}
+
+// Adds or removes a node from a multi-selection (Shift/Ctrl+click)
+function toggleNodeSelection(node) {
+    if (selectedNodes.has(node)) {
+        selectedNodes.delete(node);
+        if (selectedNode === node) {
+            selectedNode = selectedNodes.size > 0 ? Array.from(selectedNodes).pop() : null;
         }
+    } else {
+        selectedNodes.add(node);
+        selectedNode = node;
+        selectedRelationship = null;
+    }
+}
+
+// Selected nodes that are not descendants of other selected nodes, so subtree
+// operations (moving, deleting, reparenting) handle every branch exactly once
+function getSelectionRoots() {
+    return Array.from(selectedNodes).filter(node =>
+        !Array.from(selectedNodes).some(other => other !== node && isDescendant(other, node)));
+}
+
+function getNodeLevel(node) {
+    const parentById = getGraphIndex().parentById;
+    const visited = new Set([node]);
+    let level = 0;
+    let parentNode = parentById.get(node.id);
+    while (parentNode && !visited.has(parentNode)) { // Stop at cycles in damaged maps
+        visited.add(parentNode);
+        level++;
+        parentNode = parentById.get(parentNode.id);
     }
     return level;
 }
 
+// Nodes without a colour of their own take the theme's colour for their depth
+function getNodeColor(node) {
+    if (node.color) {
+        return node.color;
+    }
+    return theme.nodeColors[Math.min(getNodeLevel(node), theme.nodeColors.length - 1)];
+}
+
+// Splits text into lines that fit maxWidth, wrapping at spaces and breaking at newlines.
+// Each line records the index of its first character so carets can be mapped to positions.
 function wrapText(context, text, maxWidth) {
-    const words = text.split(' ');
-    let line = '';
     const lines = [];
+    let paragraphStart = 0;
 
-    for (let n = 0; n < words.length; n++) {
-        const testLine = line + words[n] + ' ';
-        const metrics = context.measureText(testLine);
-        const testWidth = metrics.width;
-        if (testWidth > maxWidth && n > 0) {
-            lines.push(line.trim());
-            line = words[n] + ' ';
-        } else {
-            line = testLine;
+    text.split('\n').forEach(paragraph => {
+        const words = paragraph.split(' ');
+        let line = '';
+        let lineStart = paragraphStart;
+        let wordStart = paragraphStart;
+
+        for (let n = 0; n < words.length; n++) {
+            const testLine = n === 0 ? words[n] : line + ' ' + words[n];
+            const testWidth = context.measureText(testLine).width;
+            if (testWidth > maxWidth && n > 0) {
+                lines.push({ text: line, start: lineStart }); // The space at the break is not drawn
+                line = words[n];
+                lineStart = wordStart;
+            } else {
+                line = testLine;
+            }
+            wordStart += words[n].length + 1;
         }
-    }
-    lines.push(line.trim());
+        lines.push({ text: line, start: lineStart });
+        paragraphStart += paragraph.length + 1;
+    });
     return lines;
 }
 
 const linkIcon = new Image();
 linkIcon.src = 'icons/link-8564589_640.png';
 
-function drawNode(node) {
-    const screenPos = worldToScreen(node.x, node.y);
+// Returns the radius a node is drawn with in world units: its own radius,
+// grown if necessary so that the longest word of its text fits.
+function getEffectiveRadius(node) {
+    const cached = effectiveRadiusCache.get(node);
+    if (cached && cached.text === node.text && cached.radius === node.radius) {
+        return cached.value;
+    }
     let currentRadius = node.radius; // Use node's specific radius
 
     // Temporarily set font for initial text measurement
-    ctx.font = `${16 * camera.zoom}px Inter`; // Use Inter font
-    const words = node.text.split(' ');
+    ctx.font = `${16 * camera.zoom}px ${theme.font}`;
+    const words = node.text.split(/[ \n]/);
     let longestWordWidth = 0;
     words.forEach(word => {
         const wordWidth = ctx.measureText(word).width;
@@ -128,44 +528,230 @@ function drawNode(node) {
     if (requiredRadiusForLongestWord > currentRadius) {
         currentRadius = requiredRadiusForLongestWord;
     }
+    effectiveRadiusCache.set(node, { text: node.text, radius: node.radius, value: currentRadius });
+    return currentRadius;
+}
 
-    const size = currentRadius * camera.zoom; // Final size for drawing
+function getNodeShape(node) {
+    return NODE_SHAPES[node.shape] || NODE_SHAPES.circle;
+}
 
-    if (node === selectedNode) {
-        ctx.shadowBlur = 25; // Increased blur for a stronger glow
-        ctx.shadowColor = 'rgba(0, 255, 0, 0.8)'; // Green glow
-    } else {
-        ctx.shadowBlur = 0;
+// Size of shapes that hug their text: the text is laid out at the base font size, wrapping
+// at a width that grows with the node's radius
+function getTextHuggingGeometry(node) {
+    ctx.font = `16px ${theme.font}`;
+    const lines = wrapText(ctx, node.text, node.radius * TEXT_SHAPE_WRAP_FACTOR);
+    // A pixel of slack keeps the same line breaks when the text is drawn at other zoom levels
+    const textWidth = Math.max(16, ...lines.map(line => ctx.measureText(line.text).width)) + 1;
+    const textHeight = lines.length * 16 * 1.2 + 1;
+    return {
+        halfWidth: textWidth / 2 + TEXT_SHAPE_PADDING,
+        halfHeight: textHeight / 2 + TEXT_SHAPE_PADDING,
+        textWidth: textWidth,
+        textHeight: textHeight
+    };
+}
+
+// World-space size of a node's shape and of the box its text is fitted into:
+// { halfWidth, halfHeight, textWidth, textHeight }
+function getNodeGeometry(node) {
+    const cached = nodeGeometryCache.get(node);
+    if (cached && cached.text === node.text && cached.radius === node.radius && cached.shape === node.shape) {
+        return cached.geometry;
+    }
+    const shape = getNodeShape(node);
+    const geometry = shape.hugsText ? getTextHuggingGeometry(node) : shape.getSize(getEffectiveRadius(node));
+    nodeGeometryCache.set(node, { text: node.text, radius: node.radius, shape: node.shape, geometry: geometry });
+    return geometry;
+}
+
+// World-space box of the image attached to a node, which sits 5px above its shape, or null
+function getNodeImageBox(node) {
+    if (!(node.image && node.image instanceof Image)) {
+        return null;
+    }
+    const imgWidth = node.image.width * node.imageScale;
+    const imgHeight = node.image.height * node.imageScale;
+    const bottom = node.y - getNodeGeometry(node).halfHeight - 5;
+    return {
+        minX: node.x - imgWidth / 2,
+        minY: bottom - imgHeight,
+        maxX: node.x + imgWidth / 2,
+        maxY: bottom
+    };
+}
+
+// Returns the world-space box covering everything drawNode() paints for a node
+function getNodeBounds(node) {
+    const geometry = getNodeGeometry(node);
+    const bounds = {
+        minX: node.x - geometry.halfWidth,
+        minY: node.y - geometry.halfHeight,
+        maxX: node.x + geometry.halfWidth,
+        maxY: node.y + geometry.halfHeight
+    };
+    const imageBox = getNodeImageBox(node);
+    if (imageBox) {
+        bounds.minX = Math.min(bounds.minX, imageBox.minX);
+        bounds.maxX = Math.max(bounds.maxX, imageBox.maxX);
+        bounds.minY = Math.min(bounds.minY, imageBox.minY);
+    }
+    return bounds;
+}
+
+// Farthest distance along either axis from a node's centre to anything drawn for it
+function getNodeReach(node) {
+    const bounds = getNodeBounds(node);
+    return Math.max(node.x - bounds.minX, bounds.maxX - node.x, node.y - bounds.minY, bounds.maxY - node.y);
+}
+
+// Whether a world position lies on a node's drawn shape or on its attached image
+function nodeContainsPoint(node, x, y) {
+    const geometry = getNodeGeometry(node);
+    if (getNodeShape(node).contains(x - node.x, y - node.y, geometry.halfWidth, geometry.halfHeight)) {
+        return true;
+    }
+    const imageBox = getNodeImageBox(node);
+    return !!imageBox && x >= imageBox.minX && x <= imageBox.maxX && y >= imageBox.minY && y <= imageBox.maxY;
+}
+
+// World-space rectangle shown on the active render target, grown by a margin in screen
+// pixels so glows and outlines of items just outside it are still drawn
+function getViewBounds(screenMargin = 0) {
+    const halfWidth = (ctx.canvas.width / 2 + screenMargin) / camera.zoom;
+    const halfHeight = (ctx.canvas.height / 2 + screenMargin) / camera.zoom;
+    return {
+        minX: camera.x - halfWidth,
+        minY: camera.y - halfHeight,
+        maxX: camera.x + halfWidth,
+        maxY: camera.y + halfHeight
+    };
+}
+
+function boundsIntersect(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+// Uniform grid of node centres for hit-testing. Rebuilt on first use after it is
+// invalidated; code that moves nodes calls invalidateSpatialIndex().
+function invalidateSpatialIndex() {
+    spatialIndex = null;
+}
+
+function getSpatialIndex() {
+    getGraphIndex(); // Replaced node arrays invalidate the grid as well
+    if (!spatialIndex) {
+        spatialIndex = { cells: new Map(), reach: 0 }; // reach: largest getNodeReach() of any node
+        nodes.forEach(node => {
+            const key = Math.floor(node.x / SPATIAL_CELL_SIZE) + ',' + Math.floor(node.y / SPATIAL_CELL_SIZE);
+            if (!spatialIndex.cells.has(key)) {
+                spatialIndex.cells.set(key, []);
+            }
+            spatialIndex.cells.get(key).push(node);
+            spatialIndex.reach = Math.max(spatialIndex.reach, getNodeReach(node));
+        });
+    }
+    return spatialIndex;
+}
+
+// Nodes whose centre lies closer than distance to a world position, topmost (drawn last) first
+function getNodesNearWorldPosition(x, y, distance) {
+    const cells = getSpatialIndex().cells;
+    const orderById = getGraphIndex().orderById;
+    const found = [];
+    for (let column = Math.floor((x - distance) / SPATIAL_CELL_SIZE); column <= Math.floor((x + distance) / SPATIAL_CELL_SIZE); column++) {
+        for (let row = Math.floor((y - distance) / SPATIAL_CELL_SIZE); row <= Math.floor((y + distance) / SPATIAL_CELL_SIZE); row++) {
+            (cells.get(column + ',' + row) || []).forEach(node => {
+                const dx = x - node.x;
+                const dy = y - node.y;
+                if (dx * dx + dy * dy < distance * distance) {
+                    found.push(node);
+                }
+            });
+        }
     }
+    return found.sort((a, b) => orderById.get(b.id) - orderById.get(a.id));
+}
 
-    // Determine fill color based on node type
-    let fillColor = node.color;
+// Nodes drawn at a world position, shape or image, topmost first
+function getNodesAtWorldPosition(x, y) {
+    // Any node reaching the position has its centre within the diagonal of the largest reach
+    const distance = getSpatialIndex().reach * Math.SQRT2 + 1;
+    return getNodesNearWorldPosition(x, y, distance).filter(node => nodeContainsPoint(node, x, y));
+}
+
+function drawNode(node) {
+    const screenPos = worldToScreen(node.x, node.y);
+    const shape = getNodeShape(node);
+    const geometry = getNodeGeometry(node);
+    const halfWidth = geometry.halfWidth * camera.zoom; // Final size for drawing
+    const halfHeight = geometry.halfHeight * camera.zoom;
+    const taskStatus = getTaskStatus(node);
+    const color = getNodeColor(node);
+    const isSelected = selectedNodes.has(node);
 
-    ctx.fillStyle = fillColor; // Always use the node's actual color for fill
+    ctx.save();
+    if (isDimmedByTaskFilter(node) || isFadedByTagFilter(node) || isDimmedByPresentation(node)) {
+        ctx.globalAlpha = DIMMED_ALPHA;
+    }
+    if (isSelected && theme.selection.blur > 0) {
+        ctx.shadowBlur = theme.selection.blur;
+        ctx.shadowColor = theme.selection.color;
+    } else {
+        ctx.shadowBlur = 0;
+    }
 
-    const borderRadius = 10; // Radius for rounded corners
+    ctx.fillStyle = color;
 
     ctx.beginPath();
-    if (node.shape === 'square') {
-        // Draw a rounded rectangle
-        ctx.roundRect(screenPos.x - size, screenPos.y - size, size * 2, size * 2, borderRadius);
-    } else { // Default to circle
-        ctx.arc(screenPos.x, screenPos.y, size, 0, Math.PI * 2);
+    shape.trace(screenPos.x, screenPos.y, halfWidth, halfHeight);
+    if (shape.outlineOnly) {
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3 * camera.zoom;
+        ctx.stroke();
+        ctx.restore();
+        ctx.shadowBlur = 0;
+    } else {
+        ctx.fill();
+        ctx.shadowBlur = 0; // Reset shadow for other elements
+        ctx.strokeStyle = theme.edgeColor;
+        ctx.stroke();
+    }
+    if (isSelected && theme.selection.width > 0) {
+        ctx.save();
+        ctx.strokeStyle = theme.selection.color;
+        ctx.lineWidth = theme.selection.width * camera.zoom;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Outline search hits, the current one more strongly
+    if (searchResultSet.has(node)) {
+        const isCurrentResult = searchResults[searchResultIndex] === node;
+        ctx.save();
+        ctx.strokeStyle = isCurrentResult ? '#ff6f00' : '#ffb300'; // Deep orange / amber
+        ctx.lineWidth = (isCurrentResult ? 6 : 4) * camera.zoom;
+        ctx.stroke();
+        ctx.restore();
+    } else if (taskStatus && taskStatus.overdue) {
+        ctx.save();
+        ctx.strokeStyle = TASK_OVERDUE_COLOR;
+        ctx.lineWidth = 4 * camera.zoom;
+        ctx.setLineDash([8 * camera.zoom, 4 * camera.zoom]);
+        ctx.stroke();
+        ctx.restore();
     }
-    ctx.fill();
-    ctx.shadowBlur = 0; // Reset shadow for other elements
-    ctx.strokeStyle = LINE_COLOR; // Use updated LINE_COLOR
-    ctx.stroke();
 
     // Draw text with wrapping and dynamic font size
-    const maxTextWidth = (size * 2) * 0.8; // 80% of node width for text
-    const maxTextHeight = (size * 2) * 0.8; // 80% of node height for text
+    const maxTextWidth = geometry.textWidth * camera.zoom;
+    const maxTextHeight = geometry.textHeight * camera.zoom;
     let fontSize = 16 * camera.zoom;
     let lines = [];
     const minFontSize = 8; // Minimum readable font size
 
-    do {
-        ctx.font = `${fontSize}px Inter`; // Use Inter font
+    while (fontSize >= minFontSize) { // Zoomed far out the text is unreadable and not laid out at all
+        ctx.font = `${fontSize}px ${theme.font}`;
         lines = wrapText(ctx, node.text, maxTextWidth);
         textHeight = lines.length * fontSize * 1.2; // 1.2 for line spacing
         if (textHeight > maxTextHeight && fontSize > minFontSize) {
@@ -173,40 +759,44 @@ function drawNode(node) {
         } else {
             break; // Fits or reached min font size
         }
-    } while (fontSize >= minFontSize);
+    }
 
     if (fontSize >= minFontSize) {
-        ctx.fillStyle = TEXT_COLOR;
+        let yOffset = screenPos.y - (textHeight / 2) + (fontSize * 0.6); // Adjust for vertical centering
+        const isEditing = node === selectedNode && textEditing;
+        // Outline-only shapes leave their text on the canvas background
+        const textColor = getReadableTextColor(shape.outlineOnly ? theme.background : color);
+        if (isEditing) {
+            textEditorLayout = {
+                lines: lines,
+                fontSize: fontSize,
+                centerX: screenPos.x,
+                firstLineY: yOffset,
+                lineHeight: fontSize * 1.2,
+                color: textColor
+            };
+            drawTextSelection(textEditorLayout);
+        }
+
+        ctx.fillStyle = textColor;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        let yOffset = screenPos.y - (textHeight / 2) + (fontSize * 0.6); // Adjust for vertical centering
         lines.forEach(line => {
-            ctx.fillText(line, screenPos.x, yOffset);
+            ctx.fillText(line.text, screenPos.x, yOffset);
             yOffset += fontSize * 1.2;
         });
 
-        // Draw blinking cursor if text editing is active and cursor is visible
-        if (node === selectedNode && textEditing && cursorVisible) {
-            const lastLine = lines[lines.length - 1] || '';
-            const lastLineWidth = ctx.measureText(lastLine).width;
-            const cursorX = screenPos.x + lastLineWidth / 2 + 2; // Position after the last character
-            const cursorY = yOffset - fontSize * 1.2; // Top of the last line
-            const cursorHeight = fontSize;
-
-            ctx.strokeStyle = TEXT_COLOR;
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.moveTo(cursorX, cursorY);
-            ctx.lineTo(cursorX, cursorY + cursorHeight);
-            ctx.stroke();
+        // Draw blinking cursor at the editor's caret if text editing is active and cursor is visible
+        if (isEditing) {
+            drawTextCaret(textEditorLayout);
         }
     }
 
     // Draw link icon if URL exists
     if (node.url && linkIcon.complete) {
         const iconSize = 20 * camera.zoom; // Adjust size as needed
-        const iconX = screenPos.x + size - iconSize / 2; // Position to the right of the node
-        const iconY = screenPos.y - size + iconSize / 2; // Position to the top of the node
+        const iconX = screenPos.x + halfWidth - iconSize / 2; // Position to the right of the node
+        const iconY = screenPos.y - halfHeight + iconSize / 2; // Position to the top of the node
 
         ctx.drawImage(linkIcon, iconX - iconSize / 2, iconY - iconSize / 2, iconSize, iconSize);
 
@@ -221,841 +811,7103 @@ function drawNode(node) {
         node.urlIconBounds = null; // Clear bounds if no URL
     }
 
+    // Draw note icon (a page with a folded corner) in the top left corner if the node has a note
+    if (node.note) {
+        const iconSize = 18 * camera.zoom;
+        const iconX = screenPos.x - halfWidth + iconSize * 0.1;
+        const iconY = screenPos.y - halfHeight + iconSize * 0.1;
+        drawNoteIcon(iconX, iconY, iconSize);
+        node.noteIconBounds = { x: iconX, y: iconY, width: iconSize, height: iconSize };
+    } else {
+        node.noteIconBounds = null;
+    }
+
+    node.taskCheckboxBounds = null;
+    let chipsTop = screenPos.y + halfHeight + 3 * camera.zoom;
+    if (taskStatus && (isTaskNode(node) || taskStatus.rolledUp)) {
+        drawTaskBadges(node, taskStatus, screenPos.x, screenPos.y + halfHeight);
+        chipsTop += TASK_BADGE_SIZE * camera.zoom / 2; // Below the badges
+    }
+    if (node.tags && node.tags.length > 0) {
+        drawTagChips(node, screenPos.x, chipsTop);
+    }
+
     // Draw attached image if exists
-    if (node.image && node.image instanceof Image) {
-        const img = node.image;
-        const imgWidth = img.width * node.imageScale * camera.zoom;
-        const imgHeight = img.height * node.imageScale * camera.zoom;
-        const imageOffsetX = imgWidth / 2;
-        // Position image: top edge 5px above node's top edge
-        const imageTopY = screenPos.y - size - imgHeight - (5 * camera.zoom);
-        ctx.drawImage(img, screenPos.x - imageOffsetX, imageTopY, imgWidth, imgHeight);
+    const imageBox = getNodeImageBox(node);
+    if (imageBox) {
+        const imageTopLeft = worldToScreen(imageBox.minX, imageBox.minY);
+        ctx.drawImage(node.image, imageTopLeft.x, imageTopLeft.y,
+            (imageBox.maxX - imageBox.minX) * camera.zoom, (imageBox.maxY - imageBox.minY) * camera.zoom);
     }
 
     // Draw indicator for folded nodes with children
     if (node.folded && hasChildren(node)) {
         const indicatorSize = 10 * camera.zoom;
-        const indicatorX = screenPos.x + size - indicatorSize / 2; // Position to the right of the node
-        const indicatorY = screenPos.y + size - indicatorSize / 2; // Position to the bottom right of the node
+        const indicatorX = screenPos.x + halfWidth - indicatorSize / 2; // Position to the right of the node
+        const indicatorY = screenPos.y + halfHeight - indicatorSize / 2; // Position to the bottom right of the node
 
         ctx.fillStyle = '#555555'; // Dark grey square
         ctx.fillRect(indicatorX - indicatorSize / 2, indicatorY - indicatorSize / 2, indicatorSize, indicatorSize);
     }
+    ctx.restore();
+}
+
+function drawNoteIcon(x, y, size) {
+    const fold = size * 0.3;
+    ctx.save();
+    ctx.fillStyle = '#fff8e1'; // Pale amber paper
+    ctx.strokeStyle = '#8d6e63';
+    ctx.lineWidth = Math.max(size / 12, 0.5);
+    ctx.beginPath();
+    ctx.moveTo(x + size * 0.15, y);
+    ctx.lineTo(x + size * 0.85 - fold, y);
+    ctx.lineTo(x + size * 0.85, y + fold);
+    ctx.lineTo(x + size * 0.85, y + size);
+    ctx.lineTo(x + size * 0.15, y + size);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = '#8d6e63';
+    [0.45, 0.62, 0.79].forEach(lineY => {
+        ctx.fillRect(x + size * 0.28, y + size * lineY, size * 0.44, ctx.lineWidth);
+    });
+    ctx.restore();
+}
+
+// Checkbox, priority, progress and due date of a task in a row centred on the bottom edge of
+// its node at (centerX, bottomY); badges are left out when zoomed too far out to read them
+function drawTaskBadges(node, status, centerX, bottomY) {
+    const size = TASK_BADGE_SIZE * camera.zoom;
+    if (size < 6) {
+        return;
+    }
+    const gap = size * 0.25;
+    const fontSize = size * 0.7;
+    ctx.save();
+    ctx.font = `bold ${fontSize}px ${theme.font}`;
+    const badges = [];
+    if (node.done !== null) {
+        badges.push({ type: 'checkbox', width: size });
+    }
+    if (node.priority !== null) {
+        badges.push({ type: 'priority', width: size });
+    }
+    if (status.progress !== null && (node.progress !== null || status.rolledUp)) {
+        badges.push({ type: 'progress', width: size * 2.6, text: `${status.progress}%` });
+    }
+    if (node.dueDate !== null) {
+        const [year, month, day] = node.dueDate.split('-').map(Number);
+        const text = new Date(year, month - 1, day).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+        badges.push({ type: 'due', width: ctx.measureText(text).width + size * 0.6, text: text });
+    }
+
+    let x = centerX - (badges.reduce((sum, badge) => sum + badge.width, 0) + gap * (badges.length - 1)) / 2;
+    const y = bottomY - size / 2;
+    ctx.lineWidth = Math.max(size / 12, 0.5);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    badges.forEach(badge => {
+        const middleX = x + badge.width / 2;
+        const middleY = y + size / 2;
+        ctx.beginPath();
+        if (badge.type === 'priority') {
+            ctx.arc(middleX, middleY, size / 2, 0, Math.PI * 2);
+            ctx.fillStyle = TASK_PRIORITY_COLORS[node.priority - 1];
+            ctx.fill();
+            ctx.fillStyle = 'white';
+            ctx.fillText(String(node.priority), middleX, middleY);
+        } else if (badge.type === 'checkbox') {
+            ctx.roundRect(x, y, size, size, size * 0.2);
+            ctx.fillStyle = node.done ? '#43a047' : 'white';
+            ctx.fill();
+            ctx.strokeStyle = node.done ? '#2e7d32' : '#757575';
+            ctx.stroke();
+            if (node.done) {
+                ctx.beginPath();
+                ctx.moveTo(x + size * 0.22, y + size * 0.52);
+                ctx.lineTo(x + size * 0.42, y + size * 0.72);
+                ctx.lineTo(x + size * 0.78, y + size * 0.3);
+                ctx.strokeStyle = 'white';
+                ctx.lineWidth = size * 0.14;
+                ctx.stroke();
+                ctx.lineWidth = Math.max(size / 12, 0.5);
+            }
+            node.taskCheckboxBounds = { x: x, y: y, width: size, height: size };
+        } else if (badge.type === 'progress') {
+            ctx.roundRect(x, y, badge.width, size, size / 2);
+            ctx.fillStyle = '#eceff1';
+            ctx.fill();
+            ctx.strokeStyle = '#9e9e9e';
+            ctx.stroke();
+            if (status.progress > 0) {
+                ctx.beginPath(); // No clip(), which SVG exports cannot record
+                ctx.roundRect(x, y, Math.max(badge.width * status.progress / 100, size), size, size / 2);
+                ctx.fillStyle = '#81c784';
+                ctx.fill();
+            }
+            ctx.fillStyle = theme.textColors.dark; // Badges keep their light fill in every theme
+            ctx.fillText(badge.text, middleX, middleY);
+        } else {
+            ctx.roundRect(x, y, badge.width, size, size / 2);
+            ctx.fillStyle = status.overdue ? TASK_OVERDUE_COLOR : 'white';
+            ctx.fill();
+            ctx.strokeStyle = status.overdue ? TASK_OVERDUE_COLOR : '#9e9e9e';
+            ctx.stroke();
+            ctx.fillStyle = status.overdue ? 'white' : theme.textColors.dark;
+            ctx.fillText(badge.text, middleX, middleY);
+        }
+        x += badge.width + gap;
+    });
+    ctx.restore();
+}
+
+// A node's tags as coloured chips in a row centred under it, starting at topY
+function drawTagChips(node, centerX, topY) {
+    const size = TAG_CHIP_SIZE * camera.zoom;
+    if (size < 6) {
+        return;
+    }
+    const gap = size * 0.3;
+    ctx.save();
+    ctx.font = `500 ${size * 0.7}px ${theme.font}`;
+    const chips = node.tags.map(name => {
+        const definition = getTagDefinition(name);
+        const text = definition.icon ? `${definition.icon} ${name}` : name;
+        return { text: text, color: definition.color, width: ctx.measureText(text).width + size * 0.8 };
+    });
+    let x = centerX - (chips.reduce((sum, chip) => sum + chip.width, 0) + gap * (chips.length - 1)) / 2;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    chips.forEach(chip => {
+        ctx.beginPath();
+        ctx.roundRect(x, topY, chip.width, size, size / 2);
+        ctx.fillStyle = chip.color;
+        ctx.fill();
+        ctx.fillStyle = getReadableTextColor(chip.color);
+        ctx.fillText(chip.text, x + chip.width / 2, topY + size / 2);
+        x += chip.width + gap;
+    });
+    ctx.restore();
+}
+
+// The theme's dark or light text colour, whichever has the higher WCAG contrast ratio
+// against a '#rrggbb' background
+function getReadableTextColor(background) {
+    const backgroundLuminance = getRelativeLuminance(background);
+    const getContrast = color => {
+        const luminance = getRelativeLuminance(color);
+        return (Math.max(luminance, backgroundLuminance) + 0.05) / (Math.min(luminance, backgroundLuminance) + 0.05);
+    };
+    const { dark, light } = theme.textColors;
+    return getContrast(dark) >= getContrast(light) ? dark : light;
+}
+
+function getRelativeLuminance(color) {
+    const value = parseInt((normalizeHexColor(color) || '#000000').slice(1), 16);
+    const [red, green, blue] = [value >> 16, (value >> 8) & 255, value & 255].map(channel => {
+        const srgb = channel / 255;
+        return srgb <= 0.03928 ? srgb / 12.92 : Math.pow((srgb + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
 }
 
 // Helper function to check if a node has children
 function hasChildren(node) {
-    const nodeIndex = nodes.indexOf(node);
-    return connections.some(c => c[0] === nodeIndex);
+    return getGraphIndex().childrenById.has(node.id);
+}
+
+// Point on a node's outline in the direction (dx, dy) from its centre, in world coordinates
+function getNodeBorderPoint(node, dx, dy) {
+    const shape = getNodeShape(node);
+    const { halfWidth, halfHeight } = getNodeGeometry(node);
+    const length = Math.hypot(dx, dy) || 1;
+    const ux = dx / length;
+    const uy = dy / length;
+    let distance;
+    if (shape.borderDistance) {
+        distance = shape.borderDistance(ux, uy, halfWidth, halfHeight);
+    } else {
+        // Bisect between the centre and a point certainly outside the shape
+        let inside = 0;
+        let outside = halfWidth + halfHeight;
+        for (let i = 0; i < 16; i++) {
+            const middle = (inside + outside) / 2;
+            if (shape.contains(ux * middle, uy * middle, halfWidth, halfHeight)) {
+                inside = middle;
+            } else {
+                outside = middle;
+            }
+        }
+        distance = inside;
+    }
+    return { x: node.x + ux * distance, y: node.y + uy * distance };
+}
+
+// Screen-space geometry of the branch from a parent to a child. Straight branches follow
+// the line between the centres; the other styles leave and enter the nodes on the sides
+// facing each other, horizontally or vertically depending on where the child lies.
+function getBranchGeometry(style, parentNode, childNode) {
+    const dx = childNode.x - parentNode.x;
+    const dy = childNode.y - parentNode.y;
+    let start;
+    let end;
+    const horizontal = Math.abs(dx) >= Math.abs(dy);
+    if (style === 'straight') {
+        start = getNodeBorderPoint(parentNode, dx, dy);
+        end = getNodeBorderPoint(childNode, -dx, -dy);
+    } else if (horizontal) {
+        start = getNodeBorderPoint(parentNode, Math.sign(dx) || 1, 0);
+        end = getNodeBorderPoint(childNode, -(Math.sign(dx) || 1), 0);
+    } else {
+        start = getNodeBorderPoint(parentNode, 0, Math.sign(dy) || 1);
+        end = getNodeBorderPoint(childNode, 0, -(Math.sign(dy) || 1));
+    }
+    const geometry = {
+        horizontal: horizontal,
+        start: worldToScreen(start.x, start.y),
+        end: worldToScreen(end.x, end.y)
+    };
+    const midX = (geometry.start.x + geometry.end.x) / 2;
+    const midY = (geometry.start.y + geometry.end.y) / 2;
+    geometry.control1 = horizontal ? { x: midX, y: geometry.start.y } : { x: geometry.start.x, y: midY };
+    geometry.control2 = horizontal ? { x: midX, y: geometry.end.y } : { x: geometry.end.x, y: midY };
+    return geometry;
+}
+
+function traceBranch(style, geometry) {
+    const { start, end, control1, control2 } = geometry;
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    if (style === 'curved' || style === 'tapered') {
+        ctx.bezierCurveTo(control1.x, control1.y, control2.x, control2.y, end.x, end.y);
+    } else if (style === 'elbow') {
+        // The two bends sit halfway between the nodes
+        ctx.lineTo(control1.x, control1.y);
+        ctx.lineTo(control2.x, control2.y);
+        ctx.lineTo(end.x, end.y);
+    } else {
+        ctx.lineTo(end.x, end.y);
+    }
+}
+
+// Fills a bezier branch whose width shrinks from startWidth to endWidth
+function fillTaperedBranch(geometry, startWidth, endWidth) {
+    const { start, end, control1, control2 } = geometry;
+    const steps = 16;
+    const left = [];
+    const right = [];
+    for (let step = 0; step <= steps; step++) {
+        const t = step / steps;
+        const u = 1 - t;
+        const x = u * u * u * start.x + 3 * u * u * t * control1.x + 3 * u * t * t * control2.x + t * t * t * end.x;
+        const y = u * u * u * start.y + 3 * u * u * t * control1.y + 3 * u * t * t * control2.y + t * t * t * end.y;
+        const tangentX = 3 * u * u * (control1.x - start.x) + 6 * u * t * (control2.x - control1.x) + 3 * t * t * (end.x - control2.x);
+        const tangentY = 3 * u * u * (control1.y - start.y) + 6 * u * t * (control2.y - control1.y) + 3 * t * t * (end.y - control2.y);
+        const tangentLength = Math.hypot(tangentX, tangentY) || 1;
+        const halfWidth = (startWidth + (endWidth - startWidth) * t) / 2;
+        left.push({ x: x - tangentY / tangentLength * halfWidth, y: y + tangentX / tangentLength * halfWidth });
+        right.push({ x: x + tangentY / tangentLength * halfWidth, y: y - tangentX / tangentLength * halfWidth });
+    }
+    ctx.beginPath();
+    left.forEach((point, index) => index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+    right.reverse().forEach(point => ctx.lineTo(point.x, point.y));
+    ctx.closePath();
+    ctx.fill();
+}
+
+// Colour of a branch: its own colour, else the child's colour when the map inherits colours
+function getBranchColor(conn, childNode) {
+    if (conn.color) {
+        return conn.color;
+    }
+    return branchSettings.inheritColor ? getNodeColor(childNode) : theme.edgeColor;
+}
+
+function drawBranch(conn, parentNode, childNode) {
+    const style = branchSettings.style;
+    const geometry = getBranchGeometry(style, parentNode, childNode);
+    const color = getBranchColor(conn, childNode);
+    const dashPattern = BRANCH_DASH_PATTERNS[conn.dash] || [];
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    if (style === 'tapered' && dashPattern.length === 0) {
+        // Branches thin out with depth; a custom width scales the whole branch
+        const widthScale = (conn.width || DEFAULT_BRANCH_WIDTH) / DEFAULT_BRANCH_WIDTH;
+        const level = getNodeLevel(parentNode);
+        const startWidth = Math.max(DEFAULT_BRANCH_WIDTH, TAPERED_ROOT_WIDTH * Math.pow(TAPERED_WIDTH_FACTOR, level));
+        const endWidth = Math.max(DEFAULT_BRANCH_WIDTH * 0.75, TAPERED_ROOT_WIDTH * Math.pow(TAPERED_WIDTH_FACTOR, level + 1));
+        fillTaperedBranch(geometry, startWidth * widthScale * camera.zoom, endWidth * widthScale * camera.zoom);
+    } else {
+        ctx.lineWidth = (conn.width || DEFAULT_BRANCH_WIDTH) * camera.zoom;
+        ctx.setLineDash(dashPattern.map(length => length * camera.zoom));
+        traceBranch(style, geometry);
+        ctx.stroke();
+    }
+    ctx.restore();
 }
 
 function drawConnections() {
-    ctx.strokeStyle = LINE_COLOR;
-    ctx.lineWidth = 2 * camera.zoom;
-    connections.forEach(([startIdx, endIdx]) => {
-        if (nodes[startIdx] && nodes[endIdx] && isNodeVisible(nodes[startIdx]) && isNodeVisible(nodes[endIdx])) {
-            const startPos = worldToScreen(nodes[startIdx].x, nodes[startIdx].y);
-            const endPos = worldToScreen(nodes[endIdx].x, nodes[endIdx].y);
-            ctx.beginPath();
-            ctx.moveTo(startPos.x, startPos.y);
-            ctx.lineTo(endPos.x, endPos.y);
-            ctx.stroke();
+    const view = getViewBounds();
+    // Every branch style stays inside the box around both nodes
+    const margin = Math.max(getSpatialIndex().reach, MAX_BRANCH_WIDTH, TAPERED_ROOT_WIDTH);
+    connections.forEach(conn => {
+        const startNode = getNodeById(conn.from);
+        const endNode = getNodeById(conn.to);
+        if (!startNode || !endNode) {
+            return;
+        }
+        const branchBounds = {
+            minX: Math.min(startNode.x, endNode.x) - margin,
+            minY: Math.min(startNode.y, endNode.y) - margin,
+            maxX: Math.max(startNode.x, endNode.x) + margin,
+            maxY: Math.max(startNode.y, endNode.y) + margin
+        };
+        if (boundsIntersect(branchBounds, view) && isNodeVisible(startNode) && isNodeVisible(endNode)) {
+            ctx.save();
+            if (isDimmedByTaskFilter(endNode) || isFadedByTagFilter(startNode) || isFadedByTagFilter(endNode) ||
+                isDimmedByPresentation(endNode)) {
+                ctx.globalAlpha = DIMMED_ALPHA;
+            }
+            drawBranch(conn, startNode, endNode);
+            ctx.restore();
         }
     });
 
     if (drawingConnection && connectionStartNode) {
+        // Preview of the relationship being drawn with the right mouse button
         const startPos = worldToScreen(connectionStartNode.x, connectionStartNode.y);
+        ctx.save();
+        ctx.strokeStyle = theme.relationshipColor;
+        ctx.lineWidth = 2 * camera.zoom;
+        ctx.setLineDash([8 * camera.zoom, 6 * camera.zoom]);
         ctx.beginPath();
         ctx.moveTo(startPos.x, startPos.y);
         ctx.lineTo(lastMousePos.x, lastMousePos.y);
         ctx.stroke();
+        ctx.restore();
     }
 }
 
-function draw() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    drawConnections(); // Draw connections first
-    nodes.forEach(node => {
-        if (isNodeVisible(node)) {
-            drawNode(node);
-        }
-    });
+function drawSelectionRect() {
+    const x = Math.min(selectionRect.start.x, selectionRect.end.x);
+    const y = Math.min(selectionRect.start.y, selectionRect.end.y);
+    const width = Math.abs(selectionRect.end.x - selectionRect.start.x);
+    const height = Math.abs(selectionRect.end.y - selectionRect.start.y);
+    ctx.save();
+    ctx.globalAlpha = 0.12; // Translucent root colour
+    ctx.fillStyle = theme.nodeColors[0];
+    ctx.fillRect(x, y, width, height);
+    ctx.restore();
+    ctx.strokeStyle = theme.nodeColors[0];
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, width, height);
 }
 
-canvas.addEventListener('mousedown', (e) => {
-    const mousePos = { x: e.clientX, y: e.clientY };
-    const worldPos = screenToWorld(mousePos.x, mousePos.y);
-    let clickedOnNode = false;
+// Relationships are cross links between any two nodes. They are kept apart from the
+// parent/child connections, so they never change the hierarchy, folding or deletion.
+function getRelationshipById(id) {
+    return relationships.find(relationship => relationship.id === id) || null;
+}
 
-    for (let i = nodes.length - 1; i >= 0; i--) {
-        const node = nodes[i];
-        const dx = worldPos.x - node.x;
-        const dy = worldPos.y - node.y;
-        if (dx * dx + dy * dy < NODE_RADIUS * NODE_RADIUS) {
-            clickedOnNode = true;
-            if (e.button === 0) { // Left click
-                selectedNode = node;
-                draggingNode = node;
-                draggingNodeInitialPos = { x: node.x, y: node.y };
-                draggedDescendantOffsets.clear();
+function isRelationshipVisible(relationship) {
+    const fromNode = getNodeById(relationship.from);
+    const toNode = getNodeById(relationship.to);
+    return !!fromNode && !!toNode && isNodeVisible(fromNode) && isNodeVisible(toNode);
+}
 
-                // If the dragged node has children, calculate their offsets
-                const descendants = getAllDescendants(draggingNode);
-                descendants.forEach(descendant => {
-                    draggedDescendantOffsets.set(descendant, {
-                        dx: descendant.x - draggingNode.x,
-                        dy: descendant.y - draggingNode.y
-                    });
-                });
+// Screen-space quadratic curve from the border of the source node to the border of the
+// target. It bends to the left of its direction so links both ways between two nodes stay apart.
+function getRelationshipCurve(relationship) {
+    const fromNode = getNodeById(relationship.from);
+    const toNode = getNodeById(relationship.to);
+    const dx = toNode.x - fromNode.x;
+    const dy = toNode.y - fromNode.y;
+    const control = {
+        x: (fromNode.x + toNode.x) / 2 + dy * RELATIONSHIP_CURVATURE,
+        y: (fromNode.y + toNode.y) / 2 - dx * RELATIONSHIP_CURVATURE
+    };
+    const start = getNodeBorderPoint(fromNode, control.x - fromNode.x, control.y - fromNode.y);
+    const end = getNodeBorderPoint(toNode, control.x - toNode.x, control.y - toNode.y);
+    return {
+        start: worldToScreen(start.x, start.y),
+        control: worldToScreen(control.x, control.y),
+        end: worldToScreen(end.x, end.y)
+    };
+}
 
-                textEditing = false;
-                isFirstKeyAfterSelection = true; // Set flag when node is selected
+function getCurvePoint(curve, t) {
+    const u = 1 - t;
+    return {
+        x: u * u * curve.start.x + 2 * u * t * curve.control.x + t * t * curve.end.x,
+        y: u * u * curve.start.y + 2 * u * t * curve.control.y + t * t * curve.end.y
+    };
+}
 
-                // Check if Ctrl/Cmd is pressed and node has a URL
-                if ((e.ctrlKey || e.metaKey) && node.url) {
-                    window.open(node.url, '_blank');
-                    return; // Prevent dragging if opening URL
-                }
+// Screen box of a relationship's label, centred on the middle of the curve
+function getRelationshipLabelBox(relationship, curve) {
+    const fontSize = 12 * camera.zoom;
+    ctx.font = `${fontSize}px ${theme.font}`;
+    const width = ctx.measureText(relationship.label).width + fontSize;
+    const height = fontSize * 1.6;
+    const middle = getCurvePoint(curve, 0.5);
+    return { x: middle.x - width / 2, y: middle.y - height / 2, width: width, height: height, fontSize: fontSize };
+}
 
-            } else if (e.button === 2) { // Right click
-                drawingConnection = true;
-                connectionStartNode = node;
+function drawArrowhead(tip, from) {
+    const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+    const size = 10 * camera.zoom;
+    ctx.beginPath();
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(tip.x - size * Math.cos(angle - Math.PI / 7), tip.y - size * Math.sin(angle - Math.PI / 7));
+    ctx.lineTo(tip.x - size * Math.cos(angle + Math.PI / 7), tip.y - size * Math.sin(angle + Math.PI / 7));
+    ctx.closePath();
+    ctx.fill();
+}
+
+function drawRelationship(relationship) {
+    const curve = getRelationshipCurve(relationship);
+    const tracePath = () => {
+        ctx.beginPath();
+        ctx.moveTo(curve.start.x, curve.start.y);
+        ctx.quadraticCurveTo(curve.control.x, curve.control.y, curve.end.x, curve.end.y);
+    };
+
+    ctx.save();
+    if (relationship === selectedRelationship) {
+        ctx.strokeStyle = theme.selection.color;
+        ctx.lineWidth = 8 * camera.zoom;
+        tracePath();
+        ctx.stroke();
+    }
+    ctx.strokeStyle = theme.relationshipColor;
+    ctx.fillStyle = theme.relationshipColor;
+    ctx.lineWidth = 2 * camera.zoom;
+    ctx.setLineDash([8 * camera.zoom, 6 * camera.zoom]);
+    tracePath();
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // The curve leaves and enters the nodes along the lines to its control point
+    if (relationship.direction === 'forward' || relationship.direction === 'both') {
+        drawArrowhead(curve.end, curve.control);
+    }
+    if (relationship.direction === 'backward' || relationship.direction === 'both') {
+        drawArrowhead(curve.start, curve.control);
+    }
+
+    if (relationship.label) {
+        const box = getRelationshipLabelBox(relationship, curve);
+        ctx.save();
+        ctx.globalAlpha *= 0.9; // Lets the curve show faintly through the label
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(box.x, box.y, box.width, box.height);
+        ctx.restore();
+        ctx.fillStyle = theme.relationshipColor;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(relationship.label, box.x + box.width / 2, box.y + box.height / 2);
+    }
+    ctx.restore();
+}
+
+function drawRelationships() {
+    const view = getViewBounds();
+    const nodeReach = getSpatialIndex().reach;
+    relationships.forEach(relationship => {
+        const fromNode = getNodeById(relationship.from);
+        const toNode = getNodeById(relationship.to);
+        if (!fromNode || !toNode) {
+            return;
+        }
+        // Room for the bend of the curve and a generous estimate of the label's width
+        const margin = Math.hypot(toNode.x - fromNode.x, toNode.y - fromNode.y) * RELATIONSHIP_CURVATURE +
+            Math.max(nodeReach, relationship.label.length * 8);
+        const curveBounds = {
+            minX: Math.min(fromNode.x, toNode.x) - margin,
+            minY: Math.min(fromNode.y, toNode.y) - margin,
+            maxX: Math.max(fromNode.x, toNode.x) + margin,
+            maxY: Math.max(fromNode.y, toNode.y) + margin
+        };
+        if (boundsIntersect(curveBounds, view) && isRelationshipVisible(relationship)) {
+            ctx.save();
+            if (isFadedByTagFilter(fromNode) || isFadedByTagFilter(toNode) ||
+                isDimmedByPresentation(fromNode) || isDimmedByPresentation(toNode)) {
+                ctx.globalAlpha = DIMMED_ALPHA;
+            }
+            drawRelationship(relationship);
+            ctx.restore();
+        }
+    });
+}
+
+// Returns the visible relationship whose curve or label is under a screen position
+function getRelationshipAtScreenPosition(screenX, screenY) {
+    for (let i = relationships.length - 1; i >= 0; i--) {
+        const relationship = relationships[i];
+        if (!isRelationshipVisible(relationship)) {
+            continue;
+        }
+        const curve = getRelationshipCurve(relationship);
+        if (relationship.label) {
+            const box = getRelationshipLabelBox(relationship, curve);
+            if (screenX >= box.x && screenX <= box.x + box.width && screenY >= box.y && screenY <= box.y + box.height) {
+                return relationship;
+            }
+        }
+        let previous = curve.start;
+        for (let step = 1; step <= 24; step++) {
+            const point = getCurvePoint(curve, step / 24);
+            if (getDistanceToSegment(screenX, screenY, previous, point) <= RELATIONSHIP_HIT_DISTANCE) {
+                return relationship;
+            }
+            previous = point;
+        }
+    }
+    return null;
+}
+
+function getDistanceToSegment(x, y, a, b) {
+    const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+    const t = lengthSquared === 0 ? 0 :
+        Math.max(0, Math.min(1, ((x - a.x) * (b.x - a.x) + (y - a.y) * (b.y - a.y)) / lengthSquared));
+    return Math.hypot(x - (a.x + t * (b.x - a.x)), y - (a.y + t * (b.y - a.y)));
+}
+
+function selectRelationship(relationship) {
+    clearSelection();
+    selectedRelationship = relationship;
+}
+
+// Adds a relationship from one node to another unless the same link already exists
+function addRelationship(fromNode, toNode) {
+    let relationship = relationships.find(existing => existing.from === fromNode.id && existing.to === toNode.id);
+    if (!relationship) {
+        relationship = { id: generateNodeId(), from: fromNode.id, to: toNode.id, label: '', direction: 'forward' };
+        relationships.push(relationship);
+    }
+    selectRelationship(relationship);
+}
+
+function deleteSelectedRelationship() {
+    relationships = relationships.filter(relationship => relationship !== selectedRelationship);
+    selectedRelationship = null;
+}
+
+const relationshipDialog = document.getElementById('relationship-dialog');
+const relationshipLabelInput = document.getElementById('relationship-label');
+const relationshipDirectionSelect = document.getElementById('relationship-direction');
+
+Object.entries(RELATIONSHIP_DIRECTIONS).forEach(([key, label]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    relationshipDirectionSelect.appendChild(option);
+});
+
+function openRelationshipDialog() {
+    if (!selectedRelationship) {
+        return;
+    }
+    relationshipLabelInput.value = selectedRelationship.label;
+    relationshipDirectionSelect.value = selectedRelationship.direction;
+    relationshipDialog.classList.remove('hidden');
+    relationshipLabelInput.focus();
+}
+
+function closeRelationshipDialog() {
+    relationshipDialog.classList.add('hidden');
+}
+
+function applyRelationshipDialog() {
+    closeRelationshipDialog();
+    if (selectedRelationship) {
+        selectedRelationship.label = relationshipLabelInput.value.trim();
+        selectedRelationship.direction = relationshipDirectionSelect.value;
+        draw();
+        saveState();
+    }
+}
+
+document.getElementById('relationship-confirm').addEventListener('click', applyRelationshipDialog);
+document.getElementById('relationship-cancel').addEventListener('click', closeRelationshipDialog);
+document.getElementById('relationship-delete').addEventListener('click', () => {
+    closeRelationshipDialog();
+    deleteSelectedRelationship();
+    draw();
+    saveState();
+});
+relationshipLabelInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        applyRelationshipDialog();
+    } else if (e.key === 'Escape') {
+        closeRelationshipDialog();
+    }
+});
+
+// Schedules a redraw for the next animation frame. Handlers of frequent events (mouse
+// moves, wheel, cursor blinking) use this so several events cost a single draw.
+function requestDraw() {
+    if (!drawRequested) {
+        drawRequested = true;
+        requestAnimationFrame(() => {
+            drawRequested = false;
+            draw();
+        });
+    }
+}
+
+function draw() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    textEditorLayout = null; // Recomputed when the edited node is drawn
+    drawConnections(); // Draw connections first
+    const view = getViewBounds(30); // Room for the selection glow
+    nodes.forEach(node => {
+        if (boundsIntersect(getNodeBounds(node), view) && isNodeVisible(node)) {
+            drawNode(node);
+        }
+    });
+    drawRelationships(); // Above nodes so labels stay readable
+    drawCollaborators();
+    if (selectionRect) {
+        drawSelectionRect();
+    }
+    positionTextEditor();
+    updateNodeToolbar();
+    updateZoomIndicator();
+    updateNotesPanel();
+    updateCollabPresence();
+    drawMinimap();
+}
+
+// Area covered by those of nodeList not hidden under folded ancestors, or null if none is shown
+function getVisibleNodesBounds(nodeList) {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    nodeList.forEach(node => {
+        if (isNodeVisible(node)) {
+            const nodeBounds = getNodeBounds(node);
+            bounds.minX = Math.min(bounds.minX, nodeBounds.minX);
+            bounds.minY = Math.min(bounds.minY, nodeBounds.minY);
+            bounds.maxX = Math.max(bounds.maxX, nodeBounds.maxX);
+            bounds.maxY = Math.max(bounds.maxY, nodeBounds.maxY);
+        }
+    });
+    return bounds.minX === Infinity ? null : bounds;
+}
+
+// Scale and offset that fit the bounds of the visible map into the minimap
+function getMinimapTransform() {
+    const bounds = getVisibleNodesBounds(nodes);
+    if (!bounds) {
+        return null; // Nothing to show
+    }
+    const scale = Math.min(
+        (minimapCanvas.width - MINIMAP_PADDING * 2) / Math.max(bounds.maxX - bounds.minX, 1),
+        (minimapCanvas.height - MINIMAP_PADDING * 2) / Math.max(bounds.maxY - bounds.minY, 1));
+    return {
+        scale: scale,
+        offsetX: (minimapCanvas.width - (bounds.maxX - bounds.minX) * scale) / 2 - bounds.minX * scale,
+        offsetY: (minimapCanvas.height - (bounds.maxY - bounds.minY) * scale) / 2 - bounds.minY * scale
+    };
+}
+
+// Draws the visible nodes and branches in miniature on an offscreen canvas
+function renderMinimapImage(transform) {
+    const image = document.createElement('canvas');
+    image.width = minimapCanvas.width;
+    image.height = minimapCanvas.height;
+    const miniCtx = image.getContext('2d');
+    const toMinimap = (x, y) => [x * transform.scale + transform.offsetX, y * transform.scale + transform.offsetY];
+
+    miniCtx.strokeStyle = theme.edgeColor;
+    miniCtx.lineWidth = 1;
+    miniCtx.beginPath();
+    connections.forEach(conn => {
+        const fromNode = getNodeById(conn.from);
+        const toNode = getNodeById(conn.to);
+        if (fromNode && toNode && isNodeVisible(fromNode) && isNodeVisible(toNode) && !fromNode.folded) {
+            miniCtx.moveTo(...toMinimap(fromNode.x, fromNode.y));
+            miniCtx.lineTo(...toMinimap(toNode.x, toNode.y));
+        }
+    });
+    miniCtx.stroke();
+
+    nodes.forEach(node => {
+        if (isNodeVisible(node)) {
+            const bounds = getNodeBounds(node);
+            const [x, y] = toMinimap(bounds.minX, bounds.minY);
+            miniCtx.fillStyle = getNodeColor(node);
+            // At least a pixel and a half, so small nodes of large maps stay visible
+            miniCtx.fillRect(x, y, Math.max((bounds.maxX - bounds.minX) * transform.scale, 1.5),
+                Math.max((bounds.maxY - bounds.minY) * transform.scale, 1.5));
+        }
+    });
+    return image;
+}
+
+// The miniature is only rendered again after the spatial index was invalidated, i.e. when
+// nodes moved, changed or were folded; every frame just outlines the current view on it.
+// While nodes keep moving, e.g. during a drag, it is re-rendered a few times a second.
+function drawMinimap() {
+    if (minimapCollapsed) {
+        return;
+    }
+    const index = getSpatialIndex();
+    if (!minimapCache || minimapCache.index !== index || minimapCache.width !== minimapCanvas.width) {
+        const wait = minimapCache ? minimapCache.time + MINIMAP_REFRESH_INTERVAL - performance.now() : 0;
+        if (wait > 0) {
+            if (minimapRefreshTimer === null) {
+                minimapRefreshTimer = setTimeout(() => {
+                    minimapRefreshTimer = null;
+                    requestDraw();
+                }, wait);
+            }
+        } else {
+            const transform = getMinimapTransform();
+            minimapCache = {
+                index: index,
+                width: minimapCanvas.width,
+                time: performance.now(),
+                transform: transform,
+                image: transform ? renderMinimapImage(transform) : null
+            };
+        }
+    }
+    const miniCtx = minimapCanvas.getContext('2d');
+    miniCtx.clearRect(0, 0, minimapCanvas.width, minimapCanvas.height);
+    if (!minimapCache.image) {
+        return;
+    }
+    miniCtx.drawImage(minimapCache.image, 0, 0);
+
+    const { scale, offsetX, offsetY } = minimapCache.transform;
+    const view = getViewBounds();
+    const x = view.minX * scale + offsetX;
+    const y = view.minY * scale + offsetY;
+    const width = (view.maxX - view.minX) * scale;
+    const height = (view.maxY - view.minY) * scale;
+    miniCtx.globalAlpha = 0.12;
+    miniCtx.fillStyle = theme.nodeColors[0];
+    miniCtx.fillRect(x, y, width, height);
+    miniCtx.globalAlpha = 1;
+    miniCtx.strokeStyle = theme.nodeColors[0];
+    miniCtx.lineWidth = 1.5;
+    miniCtx.strokeRect(x, y, width, height);
+}
+
+// Centres the camera on the map point under the pointer in the minimap
+function moveCameraToMinimapPoint(e) {
+    if (!minimapCache || !minimapCache.transform) {
+        return;
+    }
+    const rect = minimapCanvas.getBoundingClientRect();
+    const { scale, offsetX, offsetY } = minimapCache.transform;
+    camera.x = (e.clientX - rect.left - offsetX) / scale;
+    camera.y = (e.clientY - rect.top - offsetY) / scale;
+    requestDraw();
+}
+
+minimapCanvas.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) {
+        return;
+    }
+    e.preventDefault();
+    minimapDragPointer = e.pointerId;
+    minimapCanvas.setPointerCapture(e.pointerId);
+    moveCameraToMinimapPoint(e);
+});
+
+minimapCanvas.addEventListener('pointermove', (e) => {
+    if (e.pointerId === minimapDragPointer) {
+        moveCameraToMinimapPoint(e);
+    }
+});
+
+function endMinimapDrag(e) {
+    if (e.pointerId === minimapDragPointer) {
+        minimapDragPointer = null;
+        saveState(); // Keeps the new view with the current history step
+    }
+}
+
+minimapCanvas.addEventListener('pointerup', endMinimapDrag);
+minimapCanvas.addEventListener('pointercancel', endMinimapDrag);
+
+function setMinimapCollapsed(collapsed) {
+    minimapCollapsed = collapsed;
+    localStorage.setItem('mindmapMinimapCollapsed', String(collapsed));
+    document.getElementById('minimap').classList.toggle('collapsed', collapsed);
+    const toggle = document.getElementById('minimap-toggle');
+    toggle.textContent = collapsed ? 'Show minimap' : 'Hide';
+    toggle.title = collapsed ? 'Show an overview of the whole map' : 'Hide the minimap';
+    draw();
+}
+
+document.getElementById('minimap-toggle').addEventListener('click', () => setMinimapCollapsed(!minimapCollapsed));
+setMinimapCollapsed(minimapCollapsed); // Restores the choice of the last session
+
+function clampZoom(zoom) {
+    return Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+}
+
+// Called by draw() so the indicator always shows the current zoom
+function updateZoomIndicator() {
+    document.getElementById('zoom-reset').textContent = `${Math.round(camera.zoom * 100)}%`;
+}
+
+// Camera that shows all of bounds with FIT_MARGIN around it, never zoomed in past 100%
+function getCameraForBounds(bounds) {
+    const zoom = Math.min(
+        (canvas.width - FIT_MARGIN * 2) / Math.max(bounds.maxX - bounds.minX, 1),
+        (canvas.height - FIT_MARGIN * 2) / Math.max(bounds.maxY - bounds.minY, 1),
+        1);
+    return {
+        x: (bounds.minX + bounds.maxX) / 2,
+        y: (bounds.minY + bounds.maxY) / 2,
+        zoom: clampZoom(zoom)
+    };
+}
+
+let cameraAnimationFrame = null;
+
+function cancelCameraAnimation() {
+    cancelAnimationFrame(cameraAnimationFrame);
+    cameraAnimationFrame = null;
+}
+
+// Glides the camera to target over CAMERA_ANIMATION_DURATION. The zoom changes geometrically
+// and the centre follows it, so the map does not appear to rush at the start of a zoom-in.
+function animateCamera(target) {
+    cancelCameraAnimation();
+    const start = { ...camera };
+    target = { ...target, zoom: clampZoom(target.zoom) };
+    const startTime = performance.now();
+    const step = now => {
+        const progress = Math.min((now - startTime) / CAMERA_ANIMATION_DURATION, 1);
+        const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2; // Ease in-out cubic
+        camera.zoom = start.zoom * (target.zoom / start.zoom) ** eased;
+        const travelled = target.zoom === start.zoom ? eased : (camera.zoom - start.zoom) / (target.zoom - start.zoom);
+        camera.x = start.x + (target.x - start.x) * travelled;
+        camera.y = start.y + (target.y - start.y) * travelled;
+        draw();
+        if (progress < 1) {
+            cameraAnimationFrame = requestAnimationFrame(step);
+        } else {
+            cameraAnimationFrame = null;
+            saveState(); // Keeps the new view with the current history step
+        }
+    };
+    cameraAnimationFrame = requestAnimationFrame(step);
+}
+
+function zoomToFit() {
+    const bounds = getVisibleNodesBounds(nodes);
+    if (bounds) {
+        animateCamera(getCameraForBounds(bounds));
+    }
+}
+
+// Frames the selected nodes together with everything below them
+function zoomToSelection() {
+    if (!selectedNode) {
+        alert('Select the nodes to zoom to first.');
+        return;
+    }
+    const subtreeNodes = getSelectionRoots().flatMap(root => [root, ...getAllDescendants(root)]);
+    animateCamera(getCameraForBounds(getVisibleNodesBounds(subtreeNodes)));
+}
+
+function resetZoom() {
+    animateCamera({ x: camera.x, y: camera.y, zoom: 1 });
+}
+
+function zoomBy(factor) {
+    animateCamera({ x: camera.x, y: camera.y, zoom: camera.zoom * factor });
+}
+
+document.getElementById('zoom-in').addEventListener('click', () => zoomBy(ZOOM_BUTTON_STEP));
+document.getElementById('zoom-out').addEventListener('click', () => zoomBy(1 / ZOOM_BUTTON_STEP));
+document.getElementById('zoom-reset').addEventListener('click', resetZoom);
+document.getElementById('zoom-fit').addEventListener('click', zoomToFit);
+document.getElementById('zoom-selection').addEventListener('click', zoomToSelection);
+
+// Moves the nodes of an unfinished drag back to where it started
+function restoreDraggedNodes() {
+    if (!draggingNode) {
+        return;
+    }
+    draggingNode.x = draggingNodeInitialPos.x;
+    draggingNode.y = draggingNodeInitialPos.y;
+    draggedDescendantOffsets.forEach((offset, descendant) => {
+        descendant.x = draggingNodeInitialPos.x + offset.dx;
+        descendant.y = draggingNodeInitialPos.y + offset.dy;
+    });
+    invalidateSpatialIndex();
+    draggingNode = null;
+}
+
+// Abandons what the pressed pointer was doing, e.g. when a second finger starts a pinch
+function cancelPointerGesture() {
+    if (pressGesture) {
+        clearTimeout(pressGesture.longPressTimer);
+        pressGesture = null;
+    }
+    restoreDraggedNodes();
+    selectionRect = null;
+    panning = false;
+    drawingConnection = false;
+    connectionStartNode = null;
+    textSelectionAnchor = null;
+}
+
+// Resting a finger or pen on a node turns the drag into drawing a relationship,
+// like dragging with the right mouse button
+function startLongPressConnection(node) {
+    restoreDraggedNodes(); // Undo the few pixels the node may have followed the finger
+    drawingConnection = true;
+    connectionStartNode = node;
+    if (navigator.vibrate) {
+        navigator.vibrate(20);
+    }
+    draw();
+}
+
+// Two fingers pan and zoom: the map point between them at the start stays between them
+function getPinchCentre() {
+    const [first, second] = Array.from(activeTouches.values());
+    return {
+        x: (first.x + second.x) / 2,
+        y: (first.y + second.y) / 2,
+        distance: Math.hypot(second.x - first.x, second.y - first.y) || 1
+    };
+}
+
+function startPinchGesture() {
+    const centre = getPinchCentre();
+    pinchGesture = {
+        startDistance: centre.distance,
+        startZoom: camera.zoom,
+        anchor: screenToWorld(centre.x, centre.y)
+    };
+}
+
+function updatePinchGesture() {
+    const centre = getPinchCentre();
+    camera.zoom = clampZoom(pinchGesture.startZoom * centre.distance / pinchGesture.startDistance);
+    camera.x = pinchGesture.anchor.x - (centre.x - canvas.width / 2) / camera.zoom;
+    camera.y = pinchGesture.anchor.y - (centre.y - canvas.height / 2) / camera.zoom;
+}
+
+// Focus would move from the text editor to the page on mouse presses; pointerdown cannot prevent that
+canvas.addEventListener('mousedown', (e) => {
+    if (textEditing) {
+        e.preventDefault();
+    }
+});
+
+canvas.addEventListener('pointerdown', (e) => {
+    const mousePos = { x: e.clientX, y: e.clientY };
+    const worldPos = screenToWorld(mousePos.x, mousePos.y);
+    let clickedOnNode = false;
+    lastPointerType = e.pointerType;
+    cancelCameraAnimation(); // The user takes over the camera
+
+    if (e.pointerType === 'touch') {
+        activeTouches.set(e.pointerId, mousePos);
+        if (activeTouches.size === 2) {
+            cancelPointerGesture();
+            startPinchGesture();
+        }
+        if (activeTouches.size > 1) {
+            return;
+        }
+    }
+    if (pressGesture) {
+        return; // Another pointer is already pressed
+    }
+    pressGesture = {
+        pointerId: e.pointerId,
+        pointerType: e.pointerType,
+        start: mousePos,
+        time: performance.now(),
+        moved: false,
+        longPressTimer: null
+    };
+
+    if (presentation) {
+        // Nodes cannot be edited while presenting: every button drags the view, and a click
+        // without dragging moves on to the next step (see pointerup)
+        panning = true;
+        lastMousePos = mousePos;
+        return;
+    }
+
+    if (textEditing) {
+        if (e.button === 0 && getNodeAtScreenPosition(mousePos.x, mousePos.y) === selectedNode) {
+            // Clicking inside the edited node moves the caret; dragging selects text
+            const caretIndex = getCaretIndexAt(mousePos.x, mousePos.y);
+            if (e.shiftKey) {
+                const anchor = textEditor.selectionDirection === 'backward' ? textEditor.selectionEnd : textEditor.selectionStart;
+                textSelectionAnchor = anchor;
+                textEditor.setSelectionRange(Math.min(anchor, caretIndex), Math.max(anchor, caretIndex),
+                    caretIndex < anchor ? 'backward' : 'forward');
+            } else {
+                textSelectionAnchor = caretIndex;
+                textEditor.setSelectionRange(caretIndex, caretIndex);
+            }
+            redrawTextEditor();
+            return;
+        }
+        commitTextEditing();
+    }
+
+    const taskNode = e.button === 0 ? getTaskCheckboxAtScreenPosition(mousePos.x, mousePos.y) : null;
+    if (taskNode) {
+        pressGesture.moved = true; // Not a tap, so ticking twice quickly is no double tap
+        selectNode(taskNode);
+        taskNode.done = !taskNode.done;
+        saveState(taskNode.done ? 'Complete task' : 'Reopen task');
+        draw();
+        return;
+    }
+
+    const node = getNodeAtScreenPosition(mousePos.x, mousePos.y);
+    if (node) {
+        clickedOnNode = true;
+        if (e.button === 0) { // Left click
+            // Check if Ctrl/Cmd is pressed and node has a URL
+            if ((e.ctrlKey || e.metaKey) && node.url && !e.shiftKey) {
+                window.open(node.url, '_blank');
+                return; // Prevent dragging if opening URL
+            }
+
+            if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                toggleNodeSelection(node);
+            } else if (!selectedNodes.has(node)) {
+                selectNode(node);
+            } else {
+                selectedNode = node; // Keep the multi-selection so all of it can be dragged
+            }
+
+            const noteIcon = node.noteIconBounds;
+            if (noteIcon && mousePos.x >= noteIcon.x && mousePos.x <= noteIcon.x + noteIcon.width &&
+                mousePos.y >= noteIcon.y && mousePos.y <= noteIcon.y + noteIcon.height) {
+                openNotesPanel();
+            }
+
+            if (e.pointerType !== 'mouse' && !(e.shiftKey || e.ctrlKey || e.metaKey)) {
+                pressGesture.longPressTimer = setTimeout(() => startLongPressConnection(node), LONG_PRESS_DELAY);
+            }
+
+            if (selectedNodes.has(node)) { // Deselected nodes are not dragged
+                draggingNode = node;
+                draggingNodeInitialPos = { x: node.x, y: node.y };
+                draggedDescendantOffsets.clear();
+
+                // Other selected nodes and all descendants move along with the dragged node
+                getSelectionRoots().forEach(root => {
+                    [root, ...getAllDescendants(root)].forEach(movingNode => {
+                        if (movingNode !== draggingNode) {
+                            draggedDescendantOffsets.set(movingNode, {
+                                dx: movingNode.x - draggingNode.x,
+                                dy: movingNode.y - draggingNode.y
+                            });
+                        }
+                    });
+                });
+            }
+        } else if (e.button === 2) { // Right click
+            drawingConnection = true;
+            connectionStartNode = node;
+        }
+    }
+
+    const clickedRelationship = !clickedOnNode && e.button === 0 ? getRelationshipAtScreenPosition(mousePos.x, mousePos.y) : null;
+    if (clickedRelationship) {
+        selectRelationship(clickedRelationship);
+    } else if (!clickedOnNode) {
+        if (e.button === 0) { // Left drag on empty canvas draws a selection rectangle
+            if (!(e.shiftKey || e.ctrlKey || e.metaKey)) {
+                clearSelection();
+            }
+            selectionRect = { start: mousePos, end: mousePos };
+        } else {
+            clearSelection();
+        }
+        if (e.button === 1) { // Middle click
+            panning = true;
+        }
+    }
+    lastMousePos = mousePos;
+});
+
+canvas.addEventListener('pointermove', (e) => {
+    const mousePos = { x: e.clientX, y: e.clientY };
+    if (e.pointerType === 'touch' && activeTouches.has(e.pointerId)) {
+        activeTouches.set(e.pointerId, mousePos);
+        if (pinchGesture) {
+            updatePinchGesture();
+            requestDraw();
+            return;
+        }
+    }
+    if (pressGesture) {
+        if (pressGesture.pointerId !== e.pointerId) {
+            return;
+        }
+        if (!pressGesture.moved &&
+            Math.hypot(mousePos.x - pressGesture.start.x, mousePos.y - pressGesture.start.y) > TAP_MOVE_TOLERANCE) {
+            pressGesture.moved = true;
+            clearTimeout(pressGesture.longPressTimer); // Dragging before the long press completes moves the node
+        }
+    }
+    if (textSelectionAnchor !== null) {
+        const caretIndex = getCaretIndexAt(mousePos.x, mousePos.y);
+        textEditor.setSelectionRange(Math.min(textSelectionAnchor, caretIndex), Math.max(textSelectionAnchor, caretIndex),
+            caretIndex < textSelectionAnchor ? 'backward' : 'forward');
+        redrawTextEditor();
+        return;
+    }
+    if (draggingNode) {
+        const worldPos = screenToWorld(mousePos.x, mousePos.y);
+        const dx = worldPos.x - draggingNodeInitialPos.x;
+        const dy = worldPos.y - draggingNodeInitialPos.y;
+
+        draggingNode.x = worldPos.x;
+        draggingNode.y = worldPos.y;
+
+        // Move descendants with the dragging node
+        draggedDescendantOffsets.forEach((offset, descendant) => {
+            descendant.x = draggingNode.x + offset.dx;
+            descendant.y = draggingNode.y + offset.dy;
+        });
+        invalidateSpatialIndex();
+
+    } else if (panning) {
+        const dx = mousePos.x - lastMousePos.x;
+        const dy = mousePos.y - lastMousePos.y;
+        camera.x -= dx / camera.zoom;
+        camera.y -= dy / camera.zoom;
+    } else if (drawingConnection) {
+        lastMousePos = mousePos;
+    } else if (selectionRect) {
+        selectionRect.end = mousePos;
+    }
+    lastMousePos = mousePos;
+    requestDraw();
+});
+
+function endPointerPress(e) {
+    if (e.pointerType === 'touch') {
+        activeTouches.delete(e.pointerId);
+        if (pinchGesture) {
+            if (activeTouches.size < 2) {
+                pinchGesture = null;
+                saveState(); // Records the new view; fingers still down are ignored until lifted
+            }
+            return false;
+        }
+    }
+    if (!pressGesture || pressGesture.pointerId !== e.pointerId) {
+        return false;
+    }
+    clearTimeout(pressGesture.longPressTimer);
+    const press = pressGesture;
+    pressGesture = null;
+
+    // Quick touch or pen presses that stay in place are taps; two of them close together make a double tap
+    if (press.pointerType !== 'mouse' && !press.moved && performance.now() - press.time < LONG_PRESS_DELAY) {
+        const isDoubleTap = lastTap && press.time - lastTap.time < DOUBLE_TAP_INTERVAL &&
+            Math.hypot(press.start.x - lastTap.x, press.start.y - lastTap.y) < DOUBLE_TAP_DISTANCE;
+        lastTap = isDoubleTap ? null : { time: performance.now(), x: press.start.x, y: press.start.y };
+        return isDoubleTap;
+    }
+    return false;
+}
+
+canvas.addEventListener('pointercancel', (e) => {
+    activeTouches.delete(e.pointerId);
+    if (activeTouches.size < 2) {
+        pinchGesture = null;
+    }
+    if (pressGesture && pressGesture.pointerId === e.pointerId) {
+        cancelPointerGesture();
+        draw();
+    }
+});
+
+canvas.addEventListener('pointerup', (e) => {
+    const wasPressed = !!pressGesture && pressGesture.pointerId === e.pointerId;
+    const wasMoved = wasPressed && pressGesture.moved;
+    const isDoubleTap = endPointerPress(e);
+    if (!wasPressed) {
+        return;
+    }
+    if (presentation) {
+        panning = false;
+        if (!wasMoved && e.button === 0) {
+            showPresentationStep(presentation.index + 1);
+        }
+        return;
+    }
+    if (textSelectionAnchor !== null) {
+        textSelectionAnchor = null;
+        if (isDoubleTap) {
+            handleDoubleClick(e.clientX, e.clientY);
+        }
+        return;
+    }
+    if (drawingConnection) {
+        const endNode = getNodeAtScreenPosition(e.clientX, e.clientY);
+
+        if (endNode && endNode !== connectionStartNode) {
+            addRelationship(connectionStartNode, endNode);
+        }
+    } else if (draggingNode) { // Handle reparenting on left-click drag release
+        const mousePos = { x: e.clientX, y: e.clientY };
+        const worldPos = screenToWorld(mousePos.x, mousePos.y);
+        const dropTargetNode = getNodesAtWorldPosition(worldPos.x, worldPos.y).find(node =>
+            node !== draggingNode && !draggedDescendantOffsets.has(node) && isNodeVisible(node)) || null; // Cannot reparent to a moved node
+
+        if (dropTargetNode) {
+            getSelectionRoots().forEach(movedNode => {
+                // Prevent reparenting if target is a descendant of the dragged node
+                if (!isDescendant(movedNode, dropTargetNode)) {
+                    // Remove existing parent connection for movedNode
+                    connections = connections.filter(conn => conn.to !== movedNode.id);
+
+                    // Add new connection from dropTargetNode to movedNode
+                    connections.push({ from: dropTargetNode.id, to: movedNode.id });
+
+                    // Ensure the reparented node is a 'child' type
+                    movedNode.type = 'child';
+                }
+            });
+        }
+    } else if (selectionRect) {
+        // Select every visible node whose centre lies inside the rectangle
+        const corner1 = screenToWorld(selectionRect.start.x, selectionRect.start.y);
+        const corner2 = screenToWorld(selectionRect.end.x, selectionRect.end.y);
+        const minX = Math.min(corner1.x, corner2.x);
+        const maxX = Math.max(corner1.x, corner2.x);
+        const minY = Math.min(corner1.y, corner2.y);
+        const maxY = Math.max(corner1.y, corner2.y);
+        nodes.forEach(node => {
+            if (isNodeVisible(node) && node.x >= minX && node.x <= maxX && node.y >= minY && node.y <= maxY) {
+                selectedNodes.add(node);
+                selectedNode = node;
+            }
+        });
+    }
+
+    draggingNode = null;
+    selectionRect = null;
+    panning = false;
+    drawingConnection = false;
+    connectionStartNode = null;
+    draw();
+    saveState();
+    if (isDoubleTap) {
+        handleDoubleClick(e.clientX, e.clientY);
+    }
+});
+
+// Helper function to check if a node is a descendant of another
+function isDescendant(potentialParent, potentialChild) {
+    if (!potentialParent || !potentialChild) {
+        return false; // One or both nodes not found
+    }
+
+    // Walk up from potentialChild; every node has at most one parent
+    const parentById = getGraphIndex().parentById;
+    const visited = new Set();
+    let currentNode = potentialChild;
+    while (currentNode && !visited.has(currentNode)) {
+        if (currentNode === potentialParent) {
+            return true;
+        }
+        visited.add(currentNode);
+        currentNode = parentById.get(currentNode.id);
+    }
+    return false; // potentialChild is not a descendant
+}
+
+// New helper function to check if a node is visible (not part of a folded subtree)
+function isNodeVisible(node) {
+    if (!node) return false;
+    if (getTaskFilterMode(node) === 'hide') {
+        return false;
+    }
+    if (presentation) {
+        return presentation.revealedIds.has(node.id); // Presenting unfolds branches step by step instead
+    }
+    const parentById = getGraphIndex().parentById;
+    const visited = new Set();
+    let parentNode = parentById.get(node.id);
+    while (parentNode && !visited.has(parentNode)) {
+        if (parentNode.folded || getTaskFilterMode(parentNode) === 'hide') {
+            return false; // An ancestor is folded or filtered out, so this node is not visible
+        }
+        visited.add(parentNode);
+        parentNode = parentById.get(parentNode.id);
+    }
+    return true; // Node is visible
+}
+
+function readTaskFilterMode(key) {
+    const mode = localStorage.getItem(key);
+    return mode in TASK_FILTER_MODES ? mode : 'show';
+}
+
+function isTaskNode(node) {
+    return node.done !== null || node.priority !== null || node.dueDate !== null || node.progress !== null;
+}
+
+function formatLocalDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Task state of every node as { progress, rolledUp, complete, overdue }. Progress is the average
+// of the children that have tasks in their branch, so parents roll up their descendants; nodes
+// without tasks in their branch have null progress. Rebuilt with the graph index (saveState()
+// and undo replace it) and at midnight, when tasks become overdue.
+function getTaskStatuses() {
+    const index = getGraphIndex();
+    const now = Date.now();
+    if (taskStatusCache && taskStatusCache.index === index && now < taskStatusCache.validUntil) {
+        return taskStatusCache.statuses;
+    }
+    const today = new Date(now);
+    const statuses = new Map();
+    if (nodes.some(isTaskNode)) {
+        // Breadth-first from the roots; visited in reverse, children come before their parents
+        const order = nodes.filter(node => !index.parentById.has(node.id));
+        const visited = new Set(order);
+        for (let head = 0; head < order.length; head++) {
+            (index.childrenById.get(order[head].id) || []).forEach(child => {
+                if (!visited.has(child)) {
+                    visited.add(child);
+                    order.push(child);
+                }
+            });
+        }
+        const todayString = formatLocalDate(today);
+        for (let i = order.length - 1; i >= 0; i--) {
+            const node = order[i];
+            const childProgress = (index.childrenById.get(node.id) || [])
+                .map(child => statuses.get(child.id))
+                .filter(status => status && status.progress !== null)
+                .map(status => status.progress);
+            let progress = null;
+            if (childProgress.length > 0) {
+                progress = Math.round(childProgress.reduce((sum, value) => sum + value, 0) / childProgress.length);
+            } else if (isTaskNode(node)) {
+                progress = node.done ? 100 : node.progress || 0;
+            }
+            const complete = node.done === true || progress === 100;
+            statuses.set(node.id, {
+                progress: progress,
+                rolledUp: childProgress.length > 0,
+                complete: complete,
+                overdue: !complete && node.dueDate !== null && node.dueDate < todayString
+            });
+        }
+    }
+    const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    taskStatusCache = { index: index, validUntil: midnight.getTime(), statuses: statuses };
+    return statuses;
+}
+
+function getTaskStatus(node) {
+    return getTaskStatuses().get(node.id) || null;
+}
+
+// How the task filter shows a node's branch: 'show', 'dim' or 'hide'. Roots are always shown.
+function getTaskFilterMode(node) {
+    if (taskFilter.completed === 'show' && taskFilter.overdue === 'show') {
+        return 'show';
+    }
+    const status = getTaskStatus(node);
+    if (!status || !getParentNode(node)) {
+        return 'show';
+    }
+    if (status.complete) {
+        return taskFilter.completed;
+    }
+    return status.overdue ? taskFilter.overdue : 'show';
+}
+
+// Whether the task filter dims the node, because it or an ancestor is in a dimmed branch
+function isDimmedByTaskFilter(node) {
+    if (taskFilter.completed !== 'dim' && taskFilter.overdue !== 'dim') {
+        return false;
+    }
+    const parentById = getGraphIndex().parentById;
+    const visited = new Set();
+    let current = node;
+    while (current && !visited.has(current)) {
+        if (getTaskFilterMode(current) === 'dim') {
+            return true;
+        }
+        visited.add(current);
+        current = parentById.get(current.id);
+    }
+    return false;
+}
+
+// Tags of a node read from a file or the clipboard: unique, trimmed, non-empty names
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+        return [];
+    }
+    return [...new Set(tags.filter(tag => typeof tag === 'string').map(normalizeTagName).filter(Boolean))];
+}
+
+// Commas separate tags where several are typed at once
+function normalizeTagName(name) {
+    return name.replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeTagDefinitions(definitions) {
+    const seen = new Set();
+    return (Array.isArray(definitions) ? definitions : []).filter(definition => {
+        const name = definition && typeof definition.name === 'string' ? normalizeTagName(definition.name) : '';
+        if (!name || seen.has(name)) {
+            return false;
+        }
+        seen.add(name);
+        return true;
+    }).map(definition => ({
+        name: normalizeTagName(definition.name),
+        color: normalizeHexColor(definition.color) || getDefaultTagColor(definition.name),
+        icon: typeof definition.icon === 'string' ? definition.icon.trim() : ''
+    }));
+}
+
+// Colour of tags without a definition, e.g. pasted from another map; the same for every name
+function getDefaultTagColor(name) {
+    let hash = 0;
+    for (const character of name) {
+        hash = (hash * 31 + character.codePointAt(0)) >>> 0;
+    }
+    return TAG_COLORS[hash % TAG_COLORS.length];
+}
+
+function getTagDefinition(name) {
+    return tagDefinitions.find(definition => definition.name === name) ||
+        { name: name, color: getDefaultTagColor(name), icon: '' };
+}
+
+// Every tag of the map: defined ones in legend order, then those only found on nodes
+function getAllTagNames() {
+    const names = new Set(tagDefinitions.map(definition => definition.name));
+    const undefinedNames = new Set();
+    nodes.forEach(node => (node.tags || []).forEach(tag => !names.has(tag) && undefinedNames.add(tag)));
+    return [...names, ...[...undefinedNames].sort((a, b) => a.localeCompare(b))];
+}
+
+function isFadedByTagFilter(node) {
+    return tagFilter.size > 0 && !(node.tags || []).some(tag => tagFilter.has(tag));
+}
+
+function getAllDescendants(node) {
+    const childrenById = getGraphIndex().childrenById;
+    const descendants = [];
+    const visited = new Set([node]);
+    const queue = [node];
+
+    let head = 0;
+    while (head < queue.length) {
+        const childrenOfCurrent = childrenById.get(queue[head++].id) || [];
+        for (const childNode of childrenOfCurrent) {
+            if (!visited.has(childNode)) {
+                visited.add(childNode);
+                descendants.push(childNode);
+                queue.push(childNode);
+            }
+        }
+    }
+    return descendants;
+}
+
+function checkCollision(newNodeX, newNodeY, newNodeRadius) {
+    for (const existingNode of getNodesNearWorldPosition(newNodeX, newNodeY, newNodeRadius + MAX_NODE_RADIUS)) {
+        // Calculate distance between centers
+        const dx = newNodeX - existingNode.x;
+        const dy = newNodeY - existingNode.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        // Sum of radii
+        const sumOfRadii = newNodeRadius + existingNode.radius; 
+
+        if (distance < sumOfRadii) {
+            return true; // Collision detected
+        }
+    }
+    return false; // No collision
+}
+
+const LAYOUT_LEVEL_GAP = 60; // Space between a parent and its children
+const LAYOUT_SIBLING_GAP = 20; // Space between neighbouring subtrees
+const LAYOUT_TREE_GAP = 80; // Space between separate trees when laying out the whole map
+const LAYOUT_ANIMATION_DURATION = 400; // Milliseconds
+
+function compareByHorizontalPosition(a, b) {
+    return a.x - b.x || a.y - b.y;
+}
+
+// Half the width and height of the area a node is drawn in, including its image
+function getLayoutExtents(node) {
+    const bounds = getNodeBounds(node);
+    return {
+        halfWidth: Math.max(node.x - bounds.minX, bounds.maxX - node.x),
+        halfHeight: Math.max(node.y - bounds.minY, bounds.maxY - node.y)
+    };
+}
+
+// Builds the visible tree under root as { node, children, hidden } entries. Children of
+// folded nodes are not laid out; they are listed in `hidden` and move along with the node.
+function buildLayoutTree(root, visited, compareSiblings) {
+    visited.add(root.id);
+    const entry = { node: root, children: [], hidden: [] };
+    if (root.folded) {
+        entry.hidden = getAllDescendants(root).filter(descendant => !visited.has(descendant.id));
+        entry.hidden.forEach(descendant => visited.add(descendant.id));
+        return entry;
+    }
+    getChildNodes(root).sort(compareSiblings).forEach(child => {
+        if (!visited.has(child.id)) {
+            entry.children.push(buildLayoutTree(child, visited, compareSiblings));
+        }
+    });
+    return entry;
+}
+
+// Lays out a tree that grows along one axis, with the root at (0, 0). Horizontal trees grow
+// along x (direction 1 is right, -1 is left) and stack siblings along y; vertical trees grow
+// down and stack siblings along x. Parents are centred on their children.
+function layoutLayeredTree(tree, horizontal, direction, positions = new Map()) {
+    const mainHalf = node => horizontal ? getLayoutExtents(node).halfWidth : getLayoutExtents(node).halfHeight;
+    const crossHalf = node => horizontal ? getLayoutExtents(node).halfHeight : getLayoutExtents(node).halfWidth;
+
+    const spans = new Map();
+    const childrenSpans = new Map();
+    const measure = entry => {
+        let childrenSpan = 0;
+        entry.children.forEach((child, index) => {
+            childrenSpan += measure(child) + (index > 0 ? LAYOUT_SIBLING_GAP : 0);
+        });
+        const span = Math.max(crossHalf(entry.node) * 2, childrenSpan);
+        childrenSpans.set(entry, childrenSpan);
+        spans.set(entry, span);
+        return span;
+    };
+
+    const place = (entry, main, crossStart) => {
+        const span = spans.get(entry);
+        const crossCenter = crossStart + span / 2;
+        positions.set(entry.node, horizontal ? { x: main, y: crossCenter } : { x: crossCenter, y: main });
+
+        // Align the near edges of all children at the same distance from the parent
+        const childEdge = main + direction * (mainHalf(entry.node) + LAYOUT_LEVEL_GAP);
+        let cross = crossStart + (span - childrenSpans.get(entry)) / 2;
+        entry.children.forEach(child => {
+            place(child, childEdge + direction * mainHalf(child.node), cross);
+            cross += spans.get(child) + LAYOUT_SIBLING_GAP;
+        });
+    };
+
+    measure(tree);
+    place(tree, 0, -spans.get(tree) / 2);
+    return positions;
+}
+
+// Splits the root's children into a right and a left side of roughly equal height
+function layoutBalanced(tree) {
+    const rootX = tree.node.x;
+    const rightFirst = [
+        ...tree.children.filter(child => child.node.x >= rootX),
+        ...tree.children.filter(child => child.node.x < rootX)
+    ];
+    const heightOf = entry => {
+        const positions = layoutLayeredTree(entry, true, 1);
+        const ys = Array.from(positions, ([node, pos]) => [pos.y - getLayoutExtents(node).halfHeight, pos.y + getLayoutExtents(node).halfHeight]).flat();
+        return Math.max(...ys) - Math.min(...ys);
+    };
+    const heights = rightFirst.map(heightOf);
+    const totalHeight = heights.reduce((sum, height) => sum + height, 0);
+
+    const rightChildren = [];
+    const leftChildren = [];
+    let rightHeight = 0;
+    rightFirst.forEach((child, index) => {
+        if (rightHeight < totalHeight / 2 || rightChildren.length === 0) {
+            rightChildren.push(child);
+            rightHeight += heights[index];
+        } else {
+            leftChildren.push(child);
+        }
+    });
+
+    const positions = layoutLayeredTree({ ...tree, children: rightChildren }, true, 1);
+    layoutLayeredTree({ ...tree, children: leftChildren }, true, -1, positions);
+    return positions;
+}
+
+// Places each depth on a ring around the root, giving every subtree an angular wedge
+// proportional to its number of leaves
+function layoutRadial(tree) {
+    const leafCounts = new Map();
+    const countLeaves = entry => {
+        const count = entry.children.length === 0 ? 1 : entry.children.reduce((sum, child) => sum + countLeaves(child), 0);
+        leafCounts.set(entry, count);
+        return count;
+    };
+    const totalLeaves = countLeaves(tree);
+
+    // Largest node half-size per depth and the ring radius that keeps depths and siblings apart
+    const maxHalfByDepth = [];
+    const minRadiusByDepth = [];
+    const collect = (entry, depth) => {
+        const extents = getLayoutExtents(entry.node);
+        const half = Math.max(extents.halfWidth, extents.halfHeight);
+        maxHalfByDepth[depth] = Math.max(maxHalfByDepth[depth] || 0, half);
+        if (depth > 0) {
+            const wedge = (Math.PI * 2 * leafCounts.get(entry)) / totalLeaves;
+            const neededRadius = (half * 2 + LAYOUT_SIBLING_GAP) / Math.min(wedge, Math.PI);
+            minRadiusByDepth[depth] = Math.max(minRadiusByDepth[depth] || 0, neededRadius);
+        }
+        entry.children.forEach(child => collect(child, depth + 1));
+    };
+    collect(tree, 0);
+
+    const ringRadii = [0];
+    for (let depth = 1; depth < maxHalfByDepth.length; depth++) {
+        const clearOfPreviousRing = ringRadii[depth - 1] + maxHalfByDepth[depth - 1] + LAYOUT_LEVEL_GAP + maxHalfByDepth[depth];
+        ringRadii[depth] = Math.max(clearOfPreviousRing, minRadiusByDepth[depth] || 0);
+    }
+
+    const positions = new Map();
+    const place = (entry, depth, startAngle, endAngle) => {
+        const angle = (startAngle + endAngle) / 2;
+        positions.set(entry.node, {
+            x: depth === 0 ? 0 : Math.cos(angle) * ringRadii[depth],
+            y: depth === 0 ? 0 : Math.sin(angle) * ringRadii[depth]
+        });
+        let childStart = startAngle;
+        entry.children.forEach(child => {
+            const childEnd = childStart + ((endAngle - startAngle) * leafCounts.get(child)) / leafCounts.get(entry);
+            place(child, depth + 1, childStart, childEnd);
+            childStart = childEnd;
+        });
+    };
+    place(tree, 0, -Math.PI / 2, Math.PI * 1.5); // Start at the top and go clockwise
+    return positions;
+}
+
+// Orders a radial layout's children by their current angle around the parent
+function compareByAngleAroundParent(a, b) {
+    const parent = getParentNode(a);
+    if (!parent) {
+        return compareByPosition(a, b);
+    }
+    const angleOf = node => (Math.atan2(node.y - parent.y, node.x - parent.x) + Math.PI * 2.5) % (Math.PI * 2);
+    return angleOf(a) - angleOf(b);
+}
+
+const LAYOUT_ALGORITHMS = {
+    rightTree: {
+        label: 'Right-growing tree',
+        compareSiblings: compareByPosition,
+        layout: tree => layoutLayeredTree(tree, true, 1)
+    },
+    balanced: {
+        label: 'Balanced mind map',
+        compareSiblings: compareByPosition,
+        layout: layoutBalanced
+    },
+    radial: {
+        label: 'Radial',
+        compareSiblings: compareByAngleAroundParent,
+        layout: layoutRadial
+    },
+    orgChart: {
+        label: 'Org chart (top-down)',
+        compareSiblings: compareByHorizontalPosition,
+        stackHorizontally: true, // Separate trees sit side by side
+        layout: tree => layoutLayeredTree(tree, false, 1)
+    }
+};
+
+let layoutAnimationFrame = null;
+let finishLayoutAnimation = null;
+
+// Moves nodes to their target positions over LAYOUT_ANIMATION_DURATION, then calls onDone
+function animateNodePositions(targets, onDone) {
+    if (finishLayoutAnimation) {
+        finishLayoutAnimation(); // Jump a running animation to its end first
+    }
+    const starts = new Map();
+    targets.forEach((target, node) => starts.set(node, { x: node.x, y: node.y }));
+    const startTime = performance.now();
+
+    const finish = () => {
+        cancelAnimationFrame(layoutAnimationFrame);
+        layoutAnimationFrame = null;
+        finishLayoutAnimation = null;
+        targets.forEach((target, node) => {
+            node.x = target.x;
+            node.y = target.y;
+        });
+        invalidateSpatialIndex();
+        onDone();
+    };
+    const step = now => {
+        const progress = Math.min((now - startTime) / LAYOUT_ANIMATION_DURATION, 1);
+        if (progress >= 1) {
+            finish();
+            return;
+        }
+        const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2; // Ease in-out cubic
+        targets.forEach((target, node) => {
+            const start = starts.get(node);
+            node.x = start.x + (target.x - start.x) * eased;
+            node.y = start.y + (target.y - start.y) * eased;
+        });
+        invalidateSpatialIndex();
+        draw();
+        layoutAnimationFrame = requestAnimationFrame(step);
+    };
+    finishLayoutAnimation = finish;
+    layoutAnimationFrame = requestAnimationFrame(step);
+}
+
+// Re-positions the whole map, or the subtree under subtreeRoot, with the chosen algorithm.
+// The subtree root (or the first root of the map) stays where it is.
+function applyLayout(algorithmKey, subtreeRoot) {
+    const algorithm = LAYOUT_ALGORITHMS[algorithmKey];
+    const visited = new Set();
+    const roots = subtreeRoot ? [subtreeRoot] : nodes.filter(node => !getParentNode(node)).sort(compareByPosition);
+    // Nodes caught in connection cycles have no root; lay them out as trees of their own
+    if (!subtreeRoot) {
+        roots.push(...nodes.filter(node => getParentNode(node)).sort(compareByPosition));
+    }
+
+    const targets = new Map();
+    let previousBounds = null;
+    roots.forEach(root => {
+        if (visited.has(root.id)) {
+            return;
+        }
+        const tree = buildLayoutTree(root, visited, algorithm.compareSiblings);
+        const positions = algorithm.layout(tree);
+
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        positions.forEach((pos, node) => {
+            const extents = getLayoutExtents(node);
+            bounds.minX = Math.min(bounds.minX, pos.x - extents.halfWidth);
+            bounds.maxX = Math.max(bounds.maxX, pos.x + extents.halfWidth);
+            bounds.minY = Math.min(bounds.minY, pos.y - extents.halfHeight);
+            bounds.maxY = Math.max(bounds.maxY, pos.y + extents.halfHeight);
+        });
+
+        let anchor = { x: root.x, y: root.y };
+        if (previousBounds) {
+            // Stack separate trees next to the previous one instead of on top of it
+            anchor = algorithm.stackHorizontally
+                ? { x: previousBounds.maxX + LAYOUT_TREE_GAP - bounds.minX, y: previousBounds.anchorY }
+                : { x: previousBounds.anchorX, y: previousBounds.maxY + LAYOUT_TREE_GAP - bounds.minY };
+        }
+        positions.forEach((pos, node) => targets.set(node, { x: anchor.x + pos.x, y: anchor.y + pos.y }));
+        previousBounds = {
+            minX: anchor.x + bounds.minX,
+            maxX: anchor.x + bounds.maxX,
+            minY: anchor.y + bounds.minY,
+            maxY: anchor.y + bounds.maxY,
+            anchorX: anchor.x,
+            anchorY: anchor.y
+        };
+
+        // Descendants hidden under folded nodes keep their offset to that node
+        const moveHidden = entry => {
+            const target = targets.get(entry.node);
+            entry.hidden.forEach(hiddenNode => targets.set(hiddenNode, {
+                x: hiddenNode.x + target.x - entry.node.x,
+                y: hiddenNode.y + target.y - entry.node.y
+            }));
+            entry.children.forEach(moveHidden);
+        };
+        moveHidden(tree);
+    });
+
+    animateNodePositions(targets, () => {
+        draw();
+        saveState(`Apply ${algorithm.label.toLowerCase()} layout`); // The whole layout is a single undo step
+    });
+}
+
+const branchDialog = document.getElementById('branch-dialog');
+const branchStyleSelect = document.getElementById('branch-style');
+const branchInheritCheckbox = document.getElementById('branch-inherit-color');
+const branchCustomColorCheckbox = document.getElementById('branch-custom-color');
+const branchColorInput = document.getElementById('branch-color');
+const branchWidthInput = document.getElementById('branch-width');
+const branchDashSelect = document.getElementById('branch-dash');
+const branchSelectedFields = document.getElementById('branch-selected-fields');
+
+Object.entries(BRANCH_STYLES).forEach(([key, label]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    branchStyleSelect.appendChild(option);
+});
+
+// Branches leading into the selected nodes, which the per-branch fields apply to
+function getSelectedBranches() {
+    return connections.filter(conn => selectedNodes.has(getNodeById(conn.to)));
+}
+
+function openBranchDialog() {
+    branchStyleSelect.value = branchSettings.style;
+    branchInheritCheckbox.checked = branchSettings.inheritColor;
+
+    const selectedBranches = getSelectedBranches();
+    const sample = selectedBranches.find(conn => conn.to === (selectedNode && selectedNode.id)) || selectedBranches[0];
+    branchSelectedFields.disabled = !sample;
+    branchCustomColorCheckbox.checked = !!(sample && sample.color);
+    branchColorInput.value = sample ? getBranchColor(sample, getNodeById(sample.to)) : theme.edgeColor;
+    branchWidthInput.value = sample && sample.width ? sample.width : '';
+    branchDashSelect.value = sample && sample.dash ? sample.dash : 'solid';
+    branchDialog.classList.remove('hidden');
+}
+
+function closeBranchDialog() {
+    branchDialog.classList.add('hidden');
+}
+
+document.getElementById('branch-confirm').addEventListener('click', () => {
+    closeBranchDialog();
+    branchSettings = {
+        style: branchStyleSelect.value,
+        inheritColor: branchInheritCheckbox.checked
+    };
+    if (!branchSelectedFields.disabled) {
+        const width = parseFloat(branchWidthInput.value);
+        getSelectedBranches().forEach(conn => {
+            // Unset properties fall back to the map-wide branch style
+            conn.color = branchCustomColorCheckbox.checked ? branchColorInput.value : undefined;
+            conn.width = width > 0 ? Math.min(width, MAX_BRANCH_WIDTH) : undefined;
+            conn.dash = branchDashSelect.value === 'solid' ? undefined : branchDashSelect.value;
+            Object.keys(conn).forEach(key => conn[key] === undefined && delete conn[key]);
+        });
+    }
+    draw();
+    saveState('Change branch style');
+});
+document.getElementById('branch-cancel').addEventListener('click', closeBranchDialog);
+branchColorInput.addEventListener('input', () => {
+    branchCustomColorCheckbox.checked = true;
+});
+
+const styleDialog = document.getElementById('style-dialog');
+const styleShapeSelect = document.getElementById('style-shape');
+
+Object.entries(NODE_SHAPES).forEach(([key, shape]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = shape.label;
+    styleShapeSelect.appendChild(option);
+});
+
+function openStyleDialog() {
+    if (selectedNodes.size === 0) {
+        alert('Select the nodes to style first.');
+        return;
+    }
+    styleShapeSelect.value = NODE_SHAPES[selectedNode.shape] ? selectedNode.shape : 'circle';
+    styleDialog.classList.remove('hidden');
+    styleShapeSelect.focus();
+}
+
+function closeStyleDialog() {
+    styleDialog.classList.add('hidden');
+}
+
+document.getElementById('style-confirm').addEventListener('click', () => {
+    closeStyleDialog();
+    selectedNodes.forEach(node => {
+        node.shape = styleShapeSelect.value;
+    });
+    draw();
+    saveState('Change shape');
+});
+document.getElementById('style-cancel').addEventListener('click', closeStyleDialog);
+
+const taskDialog = document.getElementById('task-dialog');
+const taskSelectedFields = document.getElementById('task-selected-fields');
+const taskStateSelect = document.getElementById('task-state');
+const taskPrioritySelect = document.getElementById('task-priority');
+const taskDueInput = document.getElementById('task-due');
+const taskProgressInput = document.getElementById('task-progress');
+const taskFilterCompletedSelect = document.getElementById('task-filter-completed');
+const taskFilterOverdueSelect = document.getElementById('task-filter-overdue');
+// The task field of each input, so only fields changed since the dialog opened are applied
+const TASK_FIELD_INPUTS = { done: taskStateSelect, priority: taskPrioritySelect, dueDate: taskDueInput, progress: taskProgressInput };
+let taskDialogShownValues = {};
+
+['', '1', '2', '3', '4', '5'].forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = { '': 'None', '1': '1 (highest)', '5': '5 (lowest)' }[value] || value;
+    taskPrioritySelect.appendChild(option);
+});
+[taskFilterCompletedSelect, taskFilterOverdueSelect].forEach(select => {
+    Object.entries(TASK_FILTER_MODES).forEach(([key, label]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+});
+
+function openTaskDialog() {
+    // The fields show the primary selection and apply to every selected node
+    taskSelectedFields.disabled = !selectedNode;
+    const status = selectedNode ? getTaskStatus(selectedNode) : null;
+    taskStateSelect.value = !selectedNode || selectedNode.done === null ? 'none' : (selectedNode.done ? 'done' : 'open');
+    taskPrioritySelect.value = selectedNode && selectedNode.priority !== null ? String(selectedNode.priority) : '';
+    taskDueInput.value = selectedNode && selectedNode.dueDate || '';
+    taskProgressInput.value = selectedNode && selectedNode.progress !== null ? selectedNode.progress : '';
+    taskProgressInput.placeholder = status && status.rolledUp ? `${status.progress}% from subtasks` : 'None';
+    taskFilterCompletedSelect.value = taskFilter.completed;
+    taskFilterOverdueSelect.value = taskFilter.overdue;
+    taskDialogShownValues = {};
+    Object.entries(TASK_FIELD_INPUTS).forEach(([field, input]) => {
+        taskDialogShownValues[field] = String(input.value);
+    });
+    taskDialog.classList.remove('hidden');
+}
+
+function closeTaskDialog() {
+    taskDialog.classList.add('hidden');
+}
+
+document.getElementById('task-confirm').addEventListener('click', () => {
+    closeTaskDialog();
+    taskFilter = {
+        completed: taskFilterCompletedSelect.value,
+        overdue: taskFilterOverdueSelect.value
+    };
+    localStorage.setItem('mindmapTaskFilterCompleted', taskFilter.completed);
+    localStorage.setItem('mindmapTaskFilterOverdue', taskFilter.overdue);
+    invalidateSpatialIndex(); // Refreshes the minimap, which leaves out hidden branches
+
+    if (!taskSelectedFields.disabled) {
+        const properties = normalizeTaskProperties({
+            done: { open: false, done: true }[taskStateSelect.value],
+            priority: taskPrioritySelect.value,
+            dueDate: taskDueInput.value,
+            progress: taskProgressInput.value === '' ? null : taskProgressInput.value
+        });
+        // Other selected nodes keep their own values for fields left as they were shown
+        const changedFields = Object.keys(TASK_FIELD_INPUTS)
+            .filter(field => String(TASK_FIELD_INPUTS[field].value) !== taskDialogShownValues[field]);
+        if (changedFields.length > 0) {
+            selectedNodes.forEach(node => changedFields.forEach(field => {
+                node[field] = properties[field];
+            }));
+            saveState(selectedNodes.size === 1 ? 'Edit task' : `Edit tasks of ${selectedNodes.size} nodes`);
+        }
+    }
+    draw();
+});
+document.getElementById('task-cancel').addEventListener('click', closeTaskDialog);
+
+const themeDialog = document.getElementById('theme-dialog');
+const themeSelect = document.getElementById('theme-select');
+const themeDeleteButton = document.getElementById('theme-delete');
+const themeSelectedFields = document.getElementById('theme-selected-fields');
+
+function getThemeById(id) {
+    return THEMES[id] || customThemes[id] || THEMES.light;
+}
+
+// Imported themes saved in this browser; broken entries are skipped
+function readCustomThemes() {
+    const themes = {};
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem('mindmapCustomThemes'));
+    } catch (error) {
+        console.error('Error reading saved themes:', error);
+    }
+    Object.entries(stored || {}).forEach(([id, storedTheme]) => {
+        if (id.startsWith(CUSTOM_THEME_PREFIX)) {
+            try {
+                themes[id] = normalizeTheme(storedTheme, id.slice(CUSTOM_THEME_PREFIX.length));
+            } catch (error) {
+                console.error('Error reading saved theme:', error);
+            }
+        }
+    });
+    return themes;
+}
+
+function saveCustomThemes() {
+    localStorage.setItem('mindmapCustomThemes', JSON.stringify(customThemes));
+}
+
+// Checks a theme read from a file, taking anything missing or invalid from the light theme
+function normalizeTheme(data, fallbackName) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('A theme file must contain a JSON object.');
+    }
+    const fallback = THEMES.light;
+    const textColors = data.textColors && typeof data.textColors === 'object' ? data.textColors : {};
+    const selection = data.selection && typeof data.selection === 'object' ? data.selection : {};
+    const nodeColors = Array.isArray(data.nodeColors) ? data.nodeColors.map(normalizeHexColor).filter(Boolean) : [];
+    const readNumber = (value, max, fallbackValue) =>
+        typeof value === 'number' && Number.isFinite(value) ? Math.max(0, Math.min(max, value)) : fallbackValue;
+    return {
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : fallbackName,
+        background: normalizeHexColor(data.background) || fallback.background,
+        nodeColors: nodeColors.length > 0 ? nodeColors : fallback.nodeColors,
+        edgeColor: normalizeHexColor(data.edgeColor) || fallback.edgeColor,
+        relationshipColor: normalizeHexColor(data.relationshipColor) || fallback.relationshipColor,
+        textColors: {
+            dark: normalizeHexColor(textColors.dark) || fallback.textColors.dark,
+            light: normalizeHexColor(textColors.light) || fallback.textColors.light
+        },
+        // A font list as in CSS; anything that could end the canvas font string is refused
+        font: typeof data.font === 'string' && data.font.trim() && !/[;{}]/.test(data.font) ? data.font.trim() : fallback.font,
+        selection: {
+            color: normalizeHexColor(selection.color) || fallback.selection.color,
+            blur: readNumber(selection.blur, 100, fallback.selection.blur),
+            width: readNumber(selection.width, 20, fallback.selection.width)
+        }
+    };
+}
+
+function applyTheme(id) {
+    themeId = THEMES[id] || customThemes[id] ? id : 'light';
+    theme = getThemeById(themeId);
+    localStorage.setItem('mindmapTheme', themeId);
+    document.body.style.background = theme.background;
+    // Node sizes depend on the font text is measured in
+    effectiveRadiusCache = new WeakMap();
+    nodeGeometryCache = new WeakMap();
+    invalidateSpatialIndex(); // Refreshes the minimap in the new colours
+    draw();
+}
+
+function renderThemeOptions() {
+    themeSelect.replaceChildren();
+    [...Object.entries(THEMES), ...Object.entries(customThemes)].forEach(([id, definition]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = definition.name;
+        themeSelect.appendChild(option);
+    });
+    themeSelect.value = themeId;
+    themeDeleteButton.disabled = !customThemes[themeId];
+}
+
+function openThemeDialog() {
+    renderThemeOptions();
+    themeSelectedFields.disabled = selectedNodes.size === 0;
+    themeDialog.classList.remove('hidden');
+    themeSelect.focus();
+}
+
+function closeThemeDialog() {
+    themeDialog.classList.add('hidden');
+}
+
+function importTheme() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = e => {
+        const file = e.target.files[0];
+        if (!file) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = event => {
+            let importedTheme;
+            try {
+                const data = JSON.parse(event.target.result);
+                if (data && data.mindMapperTheme > THEME_FILE_VERSION) {
+                    throw new Error(`Theme file version ${data.mindMapperTheme} is newer than supported version ${THEME_FILE_VERSION}`);
+                }
+                importedTheme = normalizeTheme(data, file.name.replace(/(\.theme)?\.json$/i, '') || 'Imported');
+            } catch (error) {
+                console.error('Error parsing theme file:', error);
+                alert(`Error importing theme: ${error.message}`);
+                return;
+            }
+            // A theme with the same name replaces the earlier import
+            const id = CUSTOM_THEME_PREFIX + importedTheme.name;
+            customThemes[id] = importedTheme;
+            saveCustomThemes();
+            applyTheme(id);
+            renderThemeOptions();
+        };
+        reader.readAsText(file);
+    };
+    input.click();
+}
+
+function exportTheme() {
+    const data = { mindMapperTheme: THEME_FILE_VERSION, ...theme };
+    const fileName = (theme.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'theme') + '.theme.json';
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
+}
+
+themeSelect.addEventListener('change', () => {
+    applyTheme(themeSelect.value);
+    themeDeleteButton.disabled = !customThemes[themeId];
+});
+document.getElementById('theme-import').addEventListener('click', importTheme);
+document.getElementById('theme-export').addEventListener('click', exportTheme);
+themeDeleteButton.addEventListener('click', () => {
+    if (!customThemes[themeId] || !confirm(`Delete the theme "${theme.name}"?`)) {
+        return;
+    }
+    delete customThemes[themeId];
+    saveCustomThemes();
+    applyTheme('light');
+    renderThemeOptions();
+});
+document.getElementById('theme-reset-colors').addEventListener('click', () => {
+    // Undoes the colour picker, which colours whole subtrees
+    selectedNodes.forEach(node => {
+        updateNodeAndChildrenColor(node, null);
+    });
+    draw();
+    saveState('Use theme colours');
+});
+document.getElementById('theme-close').addEventListener('click', closeThemeDialog);
+
+// Presentation mode shows the map full screen one step at a time: each step frames a node
+// with its children, nodes not visited yet are dimmed and branches below them stay hidden.
+const presentationDialog = document.getElementById('presentation-dialog');
+const presentationOrderSelect = document.getElementById('presentation-order');
+const presentationPathFields = document.getElementById('presentation-path-fields');
+const presentationPathList = document.getElementById('presentation-path-list');
+const presentationBar = document.getElementById('presentation-bar');
+const presentationPosition = document.getElementById('presentation-position');
+
+Object.entries(PRESENTATION_ORDERS).forEach(([key, label]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    presentationOrderSelect.appendChild(option);
+});
+
+function isDimmedByPresentation(node) {
+    return !!presentation && !presentation.visitedIds.has(node.id);
+}
+
+// Node ids of the selected node's map, or of every map, in depth-first outline order,
+// leaving out branches the task filter hides
+function getDepthFirstPresentationSteps() {
+    const steps = [];
+    const stack = buildOutline(selectedNode ? [getRootNode(selectedNode)] : null).reverse();
+    while (stack.length > 0) {
+        const entry = stack.pop();
+        if (getTaskFilterMode(entry.node) !== 'hide') {
+            steps.push(entry.node.id);
+            stack.push(...entry.children.slice().reverse());
+        }
+    }
+    return steps;
+}
+
+function openPresentationDialog() {
+    commitTextEditing();
+    presentationOrderSelect.value = presentationPath.length > 0 ? 'path' : 'tree';
+    presentationDialog.classList.remove('hidden');
+    renderPresentationPath();
+}
+
+function closePresentationDialog() {
+    presentationDialog.classList.add('hidden');
+}
+
+function renderPresentationPath() {
+    if (presentationDialog.classList.contains('hidden')) {
+        return;
+    }
+    presentationPathFields.disabled = presentationOrderSelect.value !== 'path';
+    const items = presentationPath.map((id, index) => {
+        const node = getNodeById(id);
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.className = 'presentation-step-text';
+        label.textContent = node ? node.text.split('\n')[0] : '(deleted node)';
+
+        const moveUpButton = document.createElement('button');
+        moveUpButton.innerHTML = '&uarr;';
+        moveUpButton.title = 'Show earlier';
+        moveUpButton.disabled = index === 0;
+        moveUpButton.addEventListener('click', () => movePresentationStep(index, -1));
+
+        const moveDownButton = document.createElement('button');
+        moveDownButton.innerHTML = '&darr;';
+        moveDownButton.title = 'Show later';
+        moveDownButton.disabled = index === presentationPath.length - 1;
+        moveDownButton.addEventListener('click', () => movePresentationStep(index, 1));
+
+        const removeButton = document.createElement('button');
+        removeButton.innerHTML = '&times;';
+        removeButton.title = 'Remove from the path';
+        removeButton.addEventListener('click', () => {
+            presentationPath = presentationPath.filter((_, other) => other !== index);
+            saveState('Edit presentation path');
+        });
+
+        item.append(label, moveUpButton, moveDownButton, removeButton);
+        return item;
+    });
+    presentationPathList.replaceChildren(...items);
+}
+
+function movePresentationStep(index, offset) {
+    presentationPath = presentationPath.slice();
+    [presentationPath[index], presentationPath[index + offset]] = [presentationPath[index + offset], presentationPath[index]];
+    saveState('Edit presentation path');
+}
+
+function startPresentation(steps) {
+    closePresentationDialog();
+    cancelPointerGesture();
+    clearSelection();
+    presentation = { steps: steps, index: -1, visitedIds: new Set(), revealedIds: new Set(), cameraBefore: { ...camera } };
+    document.body.classList.add('presenting');
+    presentationBar.classList.remove('hidden');
+    if (document.documentElement.requestFullscreen && !document.fullscreenElement) {
+        document.documentElement.requestFullscreen().catch(error => {
+            console.error('Error entering full screen:', error); // Presenting in the window works as well
+        });
+    }
+    showPresentationStep(0);
+}
+
+function stopPresentation() {
+    if (!presentation) {
+        return;
+    }
+    const cameraBefore = presentation.cameraBefore;
+    presentation = null;
+    document.body.classList.remove('presenting');
+    presentationBar.classList.add('hidden');
+    if (document.fullscreenElement && document.exitFullscreen) {
+        document.exitFullscreen().catch(error => console.error('Error leaving full screen:', error));
+    }
+    invalidateSpatialIndex(); // Refreshes the minimap, which left out unrevealed branches
+    animateCamera(cameraBefore);
+}
+
+// Visits steps up to index: they are shown at full strength, their ancestors and children dimmed
+function showPresentationStep(index) {
+    // Leaves out nodes deleted since the presentation started, e.g. by a collaborator
+    if (presentation.steps.some(id => !getNodeById(id))) {
+        const isLive = id => !!getNodeById(id);
+        const liveBefore = end => presentation.steps.slice(0, Math.max(0, end)).filter(isLive).length;
+        const requestedIsGone = index >= 0 && index < presentation.steps.length && !isLive(presentation.steps[index]);
+        const goingBack = index < presentation.index;
+        presentation.index = liveBefore(presentation.index);
+        if (index >= 0) {
+            index = liveBefore(index) - (requestedIsGone && goingBack ? 1 : 0); // Going back skips to the live step before
+        }
+        presentation.steps = presentation.steps.filter(isLive);
+        if (presentation.steps.length === 0) {
+            stopPresentation();
+            return;
+        }
+    }
+    if (index < 0 || index >= presentation.steps.length) {
+        return;
+    }
+    presentation.index = index;
+    presentation.visitedIds = new Set(presentation.steps.slice(0, index + 1));
+    const revealedIds = new Set();
+    presentation.visitedIds.forEach(id => {
+        const node = getNodeById(id);
+        revealedIds.add(id);
+        getChildNodes(node).forEach(child => revealedIds.add(child.id));
+        let ancestor = getParentNode(node);
+        while (ancestor && !revealedIds.has(ancestor.id)) {
+            revealedIds.add(ancestor.id);
+            ancestor = getParentNode(ancestor);
+        }
+    });
+    presentation.revealedIds = revealedIds;
+    invalidateSpatialIndex();
+
+    const node = getNodeById(presentation.steps[index]);
+    presentationPosition.textContent = `${index + 1} / ${presentation.steps.length}`;
+    presentationPosition.title = node.text;
+    animateCamera(getCameraForBounds(getVisibleNodesBounds([node, ...getChildNodes(node)])));
+}
+
+function handlePresentationKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) {
+        return; // Leaves browser shortcuts alone
+    }
+    const target = {
+        ArrowRight: presentation.index + 1,
+        ArrowDown: presentation.index + 1,
+        PageDown: presentation.index + 1,
+        ' ': presentation.index + 1,
+        Enter: presentation.index + 1,
+        ArrowLeft: presentation.index - 1,
+        ArrowUp: presentation.index - 1,
+        PageUp: presentation.index - 1,
+        Backspace: presentation.index - 1,
+        Home: 0,
+        End: presentation.steps.length - 1
+    }[e.key];
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        stopPresentation();
+    } else if (target !== undefined) {
+        e.preventDefault();
+        showPresentationStep(target);
+    }
+}
+
+presentationOrderSelect.addEventListener('change', renderPresentationPath);
+document.getElementById('presentation-add').addEventListener('click', () => {
+    if (selectedNodes.size === 0) {
+        alert('Select the nodes to add first. Shift+click them in the order they should be shown.');
+        return;
+    }
+    presentationPath = [...presentationPath, ...Array.from(selectedNodes, node => node.id)]; // In the order they were picked
+    saveState('Edit presentation path');
+});
+document.getElementById('presentation-clear').addEventListener('click', () => {
+    presentationPath = [];
+    saveState('Edit presentation path');
+});
+document.getElementById('presentation-start').addEventListener('click', () => {
+    const steps = presentationOrderSelect.value === 'path'
+        ? presentationPath.filter(id => getNodeById(id) && getTaskFilterMode(getNodeById(id)) !== 'hide')
+        : getDepthFirstPresentationSteps();
+    if (steps.length === 0) {
+        alert('Add nodes to the custom path first.');
+        return;
+    }
+    startPresentation(steps);
+});
+document.getElementById('presentation-cancel').addEventListener('click', closePresentationDialog);
+document.getElementById('presentation-previous').addEventListener('click', () => showPresentationStep(presentation.index - 1));
+document.getElementById('presentation-next').addEventListener('click', () => showPresentationStep(presentation.index + 1));
+document.getElementById('presentation-exit').addEventListener('click', stopPresentation);
+document.addEventListener('fullscreenchange', () => {
+    if (!document.fullscreenElement) {
+        stopPresentation(); // Escape leaves full screen before the page sees the key
+    }
+});
+
+const layoutDialog = document.getElementById('layout-dialog');
+const layoutAlgorithmSelect = document.getElementById('layout-algorithm');
+
+Object.keys(LAYOUT_ALGORITHMS).forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = LAYOUT_ALGORITHMS[key].label;
+    layoutAlgorithmSelect.appendChild(option);
+});
+
+function openLayoutDialog() {
+    const subtreeCheckbox = document.getElementById('layout-subtree');
+    subtreeCheckbox.disabled = !selectedNode;
+    subtreeCheckbox.checked = !!selectedNode;
+    layoutDialog.classList.remove('hidden');
+}
+
+document.getElementById('layout-confirm').addEventListener('click', () => {
+    layoutDialog.classList.add('hidden');
+    const subtreeOnly = document.getElementById('layout-subtree').checked;
+    applyLayout(layoutAlgorithmSelect.value, subtreeOnly ? selectedNode : null);
+});
+document.getElementById('layout-cancel').addEventListener('click', () => {
+    layoutDialog.classList.add('hidden');
+});
+
+canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    cancelCameraAnimation();
+    const zoomFactor = e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+    const mousePos = { x: e.clientX, y: e.clientY };
+    const worldPosBeforeZoom = screenToWorld(mousePos.x, mousePos.y);
+    camera.zoom = clampZoom(camera.zoom * zoomFactor);
+    const worldPosAfterZoom = screenToWorld(mousePos.x, mousePos.y);
+    camera.x += worldPosBeforeZoom.x - worldPosAfterZoom.x;
+    camera.y += worldPosBeforeZoom.y - worldPosAfterZoom.y;
+    requestDraw();
+    scheduleWorkspaceSave(); // Remember the view with the map
+});
+
+// In-place text editing. A hidden textarea placed at the caret receives all keyboard and IME
+// input, so caret movement, selection, Delete, Ctrl+Backspace and composition work natively;
+// drawNode() renders the text, selection and caret from the textarea's state.
+const textEditor = document.getElementById('node-text-editor');
+
+// Returns the x offset of a character position within a laid-out line
+function getLineOffsetX(layout, line, charOffset) {
+    ctx.font = `${layout.fontSize}px ${theme.font}`;
+    const lineWidth = ctx.measureText(line.text).width;
+    const prefix = line.text.slice(0, Math.max(0, Math.min(charOffset, line.text.length)));
+    return layout.centerX - lineWidth / 2 + ctx.measureText(prefix).width;
+}
+
+// Finds the line holding a caret index; an index at a wrap point belongs to the earlier line
+function getLineIndexForCaret(layout, index) {
+    let lineIndex = 0;
+    for (let i = 0; i < layout.lines.length; i++) {
+        if (layout.lines[i].start <= index) {
+            lineIndex = i;
+        }
+    }
+    return lineIndex;
+}
+
+// Highlights the part of each line covered by [start, end); used for the selection
+function forEachLineSegment(layout, start, end, callback) {
+    layout.lines.forEach((line, lineIndex) => {
+        const segmentStart = Math.max(start, line.start);
+        const segmentEnd = Math.min(end, line.start + line.text.length);
+        if (segmentStart < segmentEnd) {
+            const x1 = getLineOffsetX(layout, line, segmentStart - line.start);
+            const x2 = getLineOffsetX(layout, line, segmentEnd - line.start);
+            callback(x1, x2, layout.firstLineY + lineIndex * layout.lineHeight);
+        }
+    });
+}
+
+function drawTextSelection(layout) {
+    const { selectionStart, selectionEnd } = textEditor;
+    if (selectionStart === selectionEnd) {
+        return;
+    }
+    ctx.fillStyle = 'rgba(66, 133, 244, 0.35)'; // Translucent blue
+    forEachLineSegment(layout, selectionStart, selectionEnd, (x1, x2, y) => {
+        ctx.fillRect(x1, y - layout.fontSize * 0.6, x2 - x1, layout.fontSize * 1.2);
+    });
+}
+
+function drawTextCaret(layout) {
+    ctx.strokeStyle = layout.color;
+    if (compositionRange) {
+        // Underline text that is still being composed through an IME
+        ctx.lineWidth = 1;
+        forEachLineSegment(layout, compositionRange[0], compositionRange[1], (x1, x2, y) => {
+            ctx.beginPath();
+            ctx.moveTo(x1, y + layout.fontSize * 0.6);
+            ctx.lineTo(x2, y + layout.fontSize * 0.6);
+            ctx.stroke();
+        });
+    }
+    if (!cursorVisible || textEditor.selectionStart !== textEditor.selectionEnd) {
+        return;
+    }
+    const caretIndex = textEditor.selectionEnd;
+    const lineIndex = getLineIndexForCaret(layout, caretIndex);
+    const line = layout.lines[lineIndex];
+    const cursorX = getLineOffsetX(layout, line, caretIndex - line.start);
+    const cursorY = layout.firstLineY + lineIndex * layout.lineHeight - layout.fontSize / 2; // Top of the caret's line
+
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cursorX, cursorY);
+    ctx.lineTo(cursorX, cursorY + layout.fontSize);
+    ctx.stroke();
+}
+
+// Maps a screen position over the edited node to the nearest caret index
+function getCaretIndexAt(screenX, screenY) {
+    const layout = textEditorLayout;
+    if (!layout) {
+        return textEditor.value.length;
+    }
+    const lineIndex = Math.max(0, Math.min(layout.lines.length - 1,
+        Math.round((screenY - layout.firstLineY) / layout.lineHeight)));
+    const line = layout.lines[lineIndex];
+    let bestOffset = 0;
+    let bestDistance = Infinity;
+    for (let offset = 0; offset <= line.text.length; offset++) {
+        const distance = Math.abs(getLineOffsetX(layout, line, offset) - screenX);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            bestOffset = offset;
+        }
+    }
+    return line.start + bestOffset;
+}
+
+// Keeps the hidden textarea at the caret so IME candidate windows open next to it
+function positionTextEditor() {
+    if (!textEditing || !textEditorLayout) {
+        return;
+    }
+    const layout = textEditorLayout;
+    const lineIndex = getLineIndexForCaret(layout, textEditor.selectionEnd);
+    const line = layout.lines[lineIndex];
+    textEditor.style.left = `${getLineOffsetX(layout, line, textEditor.selectionEnd - line.start)}px`;
+    textEditor.style.top = `${layout.firstLineY + lineIndex * layout.lineHeight - layout.fontSize / 2}px`;
+    textEditor.style.height = `${layout.fontSize}px`;
+    textEditor.style.fontSize = `${layout.fontSize}px`;
+}
+
+function restartCursorBlink() {
+    clearInterval(cursorBlinkInterval);
+    cursorVisible = true;
+    cursorBlinkInterval = setInterval(() => {
+        cursorVisible = !cursorVisible;
+        requestDraw();
+    }, 500);
+}
+
+function redrawTextEditor() {
+    if (textEditing) {
+        cursorVisible = true;
+        draw();
+    }
+}
+
+// Starts editing a node's text. `caret` is 'end', 'all' (select the whole text so typing
+// replaces it, used for new nodes) or a caret index.
+function startTextEditing(node, caret = 'end') {
+    if (textEditing) {
+        commitTextEditing();
+    }
+    selectNode(node);
+    textEditing = true;
+    textEditOriginalText = node.text;
+    textEditor.value = node.text;
+    textEditor.classList.add('active');
+    textEditor.focus({ preventScroll: true });
+    if (caret === 'all') {
+        textEditor.setSelectionRange(0, node.text.length);
+    } else {
+        const index = caret === 'end' ? node.text.length : caret;
+        textEditor.setSelectionRange(index, index);
+    }
+    restartCursorBlink();
+    draw();
+}
+
+function finishTextEditing() {
+    textEditing = false;
+    textEditOriginalText = null;
+    textEditorLayout = null;
+    textSelectionAnchor = null;
+    compositionRange = null;
+    clearInterval(cursorBlinkInterval);
+    cursorBlinkInterval = null;
+    cursorVisible = true; // Ensure cursor is visible when not editing
+    textEditor.classList.remove('active');
+    if (document.activeElement === textEditor) {
+        textEditor.blur();
+    }
+    draw();
+}
+
+// Ends editing and keeps the new text; the whole edit is one history step
+function commitTextEditing() {
+    if (!textEditing) {
+        return;
+    }
+    const changed = selectedNode && selectedNode.text !== textEditOriginalText;
+    finishTextEditing();
+    if (changed) {
+        saveState(); // Save state when text editing stops
+    }
+}
+
+function cancelTextEditing() {
+    if (!textEditing) {
+        return;
+    }
+    if (selectedNode) {
+        selectedNode.text = textEditOriginalText;
+    }
+    finishTextEditing();
+}
+
+textEditor.addEventListener('input', () => {
+    if (textEditing && selectedNode) {
+        selectedNode.text = textEditor.value;
+        invalidateSpatialIndex(); // The node may have grown
+        restartCursorBlink();
+        draw();
+    }
+});
+
+textEditor.addEventListener('keydown', (e) => {
+    if (e.isComposing) {
+        return; // Keys confirming an IME composition belong to the IME
+    }
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        cancelTextEditing();
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault(); // Shift+Enter inserts a line break
+        commitTextEditing();
+    } else if (e.key === 'Tab') {
+        e.preventDefault();
+        commitTextEditing();
+        addChildNode();
+    } else if (e.key === 'F2') {
+        e.preventDefault();
+        commitTextEditing();
+    } else {
+        setTimeout(redrawTextEditor, 0); // Redraw once the caret has moved
+    }
+});
+
+textEditor.addEventListener('blur', () => {
+    commitTextEditing(); // Clicking toolbar buttons or other inputs ends editing
+});
+
+textEditor.addEventListener('select', redrawTextEditor);
+document.addEventListener('selectionchange', redrawTextEditor);
+
+textEditor.addEventListener('compositionstart', () => {
+    compositionRange = [textEditor.selectionStart, textEditor.selectionStart];
+});
+textEditor.addEventListener('compositionupdate', (e) => {
+    if (compositionRange) {
+        compositionRange = [compositionRange[0], compositionRange[0] + e.data.length];
+    }
+});
+textEditor.addEventListener('compositionend', () => {
+    compositionRange = null;
+    redrawTextEditor();
+});
+
+// Selects the word around a caret index, like double-clicking in a text field
+function selectWordAt(index) {
+    const text = textEditor.value;
+    let start = index;
+    let end = index;
+    while (start > 0 && /\S/.test(text[start - 1])) {
+        start--;
+    }
+    while (end < text.length && /\S/.test(text[end])) {
+        end++;
+    }
+    textEditor.setSelectionRange(start, end);
+    redrawTextEditor();
+}
+
+function getNodeAtScreenPosition(screenX, screenY) {
+    const worldPos = screenToWorld(screenX, screenY);
+    return getNodesAtWorldPosition(worldPos.x, worldPos.y).find(isNodeVisible) || null;
+}
+
+// Node whose task checkbox is at a screen position. Checkboxes sit across the bottom edge of
+// their node, so they are found through the bounds recorded by drawTaskBadges().
+function getTaskCheckboxAtScreenPosition(screenX, screenY) {
+    const worldPos = screenToWorld(screenX, screenY);
+    const distance = getSpatialIndex().reach * Math.SQRT2 + TASK_BADGE_SIZE;
+    return getNodesNearWorldPosition(worldPos.x, worldPos.y, distance).find(node => {
+        const bounds = node.taskCheckboxBounds;
+        return bounds && screenX >= bounds.x && screenX <= bounds.x + bounds.width &&
+            screenY >= bounds.y && screenY <= bounds.y + bounds.height && isNodeVisible(node);
+    }) || null;
+}
+
+// Double-click or double tap: edit the node or relationship under the pointer, or add a node
+function handleDoubleClick(screenX, screenY) {
+    if (presentation) {
+        return; // Both clicks already advanced the presentation
+    }
+    if (getTaskCheckboxAtScreenPosition(screenX, screenY)) {
+        return; // Quick clicks on a checkbox only tick and untick it
+    }
+    const clickedNode = getNodeAtScreenPosition(screenX, screenY);
+    const clickedRelationship = clickedNode ? null : getRelationshipAtScreenPosition(screenX, screenY);
+    if (clickedRelationship) {
+        selectRelationship(clickedRelationship);
+        draw();
+        openRelationshipDialog();
+    } else if (clickedNode) {
+        // Double-clicking a node edits it with the caret under the pointer
+        if (!(textEditing && clickedNode === selectedNode)) {
+            startTextEditing(clickedNode, 'end');
+        }
+        selectWordAt(getCaretIndexAt(screenX, screenY));
+    } else if (!selectedNode) { // Only create a new node if no node is currently selected
+        const worldPos = screenToWorld(screenX, screenY);
+        nodes.push(createNode(worldPos.x, worldPos.y));
+        saveState();
+        startTextEditing(nodes[nodes.length - 1], 'all');
+    }
+}
+
+canvas.addEventListener('dblclick', (e) => {
+    if (lastPointerType === 'mouse') { // Touch and pen double taps are recognised in pointerup
+        handleDoubleClick(e.clientX, e.clientY);
+    }
+});
+
+// True when a keyboard event belongs to a form control (dialogs, inputs) rather than the canvas
+function isEditableTarget(target) {
+    return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+        target.tagName === 'SELECT' || target.isContentEditable === true);
+}
+
+window.addEventListener('keydown', (e) => {
+    if (presentation) {
+        handlePresentationKey(e); // Keeps Escape and the editing keys away from the map
+        return;
+    }
+
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'f' || e.key === 'h')) {
+        e.preventDefault(); // Use the map's find bar instead of the browser's
+        openSearchBar(e.key === 'h');
+        return;
+    }
+
+    if (isEditableTarget(e.target)) {
+        return; // Let dialogs and inputs handle their own keys
+    }
+
+    // Keys pressed on a dialog's or panel's buttons are not map shortcuts; Escape just closes the dialog
+    const panel = e.target && e.target.closest ? e.target.closest('.dialog, #tags-panel, #notes-panel, #history-panel, #search-bar') : null;
+    if (panel) {
+        if (e.key === 'Escape' && panel.classList.contains('dialog')) {
+            panel.classList.add('hidden');
+        }
+        return;
+    }
+
+    if (e.key === 'Escape') {
+        nodes = [];
+        connections = [];
+        relationships = [];
+        clearSelection();
+        draggingNode = null;
+        panning = false;
+        drawingConnection = false;
+        connectionStartNode = null;
+        // Re-initialize the single father node in the center
+        nodes.push(createNode(0, 0));
+        draw();
+        saveState('Clear map'); // Save state after clearing and re-initializing
+        return; // Stop further execution
+    }
+
+    if (selectedRelationship && (e.key === 'Delete' || e.key === 'Backspace')) {
+        e.preventDefault();
+        deleteSelection();
+        return;
+    }
+
+    if (selectedRelationship && (e.key === 'Enter' || e.key === 'F2')) {
+        e.preventDefault();
+        openRelationshipDialog();
+        return;
+    }
+
+    if (e.key === 'Tab' && selectedNode) {
+        e.preventDefault(); // Prevent default tab behavior
+        addChildNode();
+        return; // Stop further execution
+    }
+
+    if (e.key === 'Enter' && selectedNode) {
+        e.preventDefault(); // Prevent default Enter behavior (e.g., new line in input fields)
+        addSiblingNode();
+        return; // Stop further execution
+    }
+
+    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown') && selectedNode) {
+        e.preventDefault();
+        moveSelectedNodeAmongSiblings(e.key === 'ArrowUp' ? -1 : 1);
+        return;
+    }
+
+    if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight') && selectedNode) {
+        e.preventDefault(); // Alt+Left would otherwise go back in the browser history
+        const outward = isOnLeftSide(selectedNode) ? 'ArrowLeft' : 'ArrowRight';
+        if (e.key === outward) {
+            demoteSelectedNode();
+        } else {
+            promoteSelectedNode();
+        }
+        return;
+    }
+
+    if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home'].includes(e.key) &&
+        !(e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) && !selectedRelationship) {
+        e.preventDefault(); // Do not scroll the page
+        navigateSelection(e.key);
+        return;
+    }
+
+    if (e.key === 'F2' && selectedNode) {
+        e.preventDefault();
+        startTextEditing(selectedNode, 'end');
+        return;
+    }
+
+    if (e.key === 'Delete' && selectedNode && e.ctrlKey) {
+        e.preventDefault();
+        const nodesWithImages = Array.from(selectedNodes).filter(node => node.image || node.imageDataURL);
+        if (nodesWithImages.length > 0) {
+            nodesWithImages.forEach(node => {
+                node.image = null;
+                node.imageDataURL = null;
+            });
+            draw();
+            saveState();
+        }
+        return;
+    }
+
+    if (e.key === 'Delete' && selectedNode) {
+        e.preventDefault();
+        deleteSelection();
+        return; // Stop further execution
+    }
+
+    if (selectedNode && (e.key === '+' || e.key === '=') && e.ctrlKey) {
+        e.preventDefault();
+        selectedNodes.forEach(node => {
+            node.imageScale = Math.min(node.imageScale + 0.1, 3.0); // Increase image size
+        });
+        draw();
+        saveState();
+        return;
+    }
+
+    if (selectedNode && e.key === '-' && e.ctrlKey) {
+        e.preventDefault();
+        selectedNodes.forEach(node => {
+            node.imageScale = Math.max(node.imageScale - 0.1, 0.1); // Decrease image size
+        });
+        draw();
+        saveState();
+        return;
+    }
+
+    if (selectedNode && (e.key === '+' || e.key === '=')) {
+        e.preventDefault();
+        selectedNodes.forEach(node => {
+            node.radius = Math.min(node.radius + 5, MAX_NODE_RADIUS);
+        });
+        draw();
+        saveState();
+        return;
+    }
+
+    if (selectedNode && e.key === '-') {
+        e.preventDefault();
+        selectedNodes.forEach(node => {
+            node.radius = Math.max(node.radius - 5, MIN_NODE_RADIUS);
+        });
+        draw();
+        saveState();
+        return;
+    }
+
+    if (e.key === '\\' && selectedNode) {
+        e.preventDefault();
+        toggleFoldOfSelection();
+        return;
+    }
+
+    if ((e.ctrlKey || e.metaKey) && e.key === '0') {
+        e.preventDefault(); // Zoom the map, not the page
+        resetZoom();
+        return;
+    }
+
+    if (e.ctrlKey && e.key === 'z') {
+        e.preventDefault();
+        undo();
+        return;
+    }
+
+    if (e.ctrlKey && e.key === 'y') {
+        e.preventDefault();
+        redo();
+        return;
+    }
+
+    if (e.ctrlKey && e.shiftKey && selectedNode) {
+        e.preventDefault();
+        openNodeColorPicker();
+        return;
+    }
+
+    // Typing on a selected node starts editing it, appending to the existing text
+    if (selectedNode && e.key.length === 1 && !(e.ctrlKey || e.metaKey || e.altKey)) {
+        e.preventDefault();
+        startTextEditing(selectedNode, 'end');
+        textEditor.setRangeText(e.key, textEditor.value.length, textEditor.value.length, 'end');
+        textEditor.dispatchEvent(new Event('input'));
+    } else if (selectedNode && e.key === 'Process') {
+        startTextEditing(selectedNode, 'end'); // Let the IME continue composing in the editor
+    }
+});
+
+// Adds a child to the selected node (Tab), placed to its right below existing nodes
+function addChildNode() {
+    if (!selectedNode) {
+        return;
+    }
+    const parentNode = selectedNode;
+    let newX = parentNode.x + NODE_RADIUS * 2.5;
+    let newY = parentNode.y;
+
+    // Adjust position to avoid overlap
+    let attempts = 0;
+    const maxAttempts = 100; // Prevent infinite loops
+    const shiftAmount = NODE_RADIUS * 1.5; // Amount to shift if collision occurs
+
+    while (checkCollision(newX, newY, NODE_RADIUS) && attempts < maxAttempts) {
+        newY += shiftAmount;
+        attempts++;
+    }
+
+    const newNode = createNode(newX, newY, {
+        text: 'Child Node',
+        type: 'child',
+        shape: 'square',
+        color: selectedNode.color // Inherit color from parent
+    });
+    nodes.push(newNode);
+    connections.push({ from: parentNode.id, to: newNode.id });
+    saveState();
+    startTextEditing(newNode, 'all'); // Typing replaces the placeholder text
+}
+
+// Adds a sibling below the selected node (Enter); root nodes have no siblings
+function addSiblingNode() {
+    if (!selectedNode) {
+        return;
+    }
+    const parentNode = getParentNode(selectedNode);
+    if (!parentNode) {
+        return;
+    }
+    let newX = selectedNode.x;
+    let newY = selectedNode.y + NODE_RADIUS * 1.5;
+
+    // Adjust position to avoid overlap
+    let attempts = 0;
+    const maxAttempts = 100; // Prevent infinite loops
+    const shiftAmount = NODE_RADIUS * 1.5; // Amount to shift if collision occurs
+
+    while (checkCollision(newX, newY, NODE_RADIUS) && attempts < maxAttempts) {
+        newY += shiftAmount;
+        attempts++;
+    }
+
+    const newNode = createNode(newX, newY, {
+        text: 'Child Node',
+        type: 'child',
+        shape: 'square',
+        color: selectedNode.color // Inherit color from parent
+    });
+    nodes.push(newNode);
+    connections.push({ from: parentNode.id, to: newNode.id });
+    saveState();
+    startTextEditing(newNode, 'all'); // Start editing the new node
+}
+
+const KEYBOARD_VIEW_MARGIN = 40; // Screen pixels kept between a node selected from the keyboard and the edge of the view
+
+// True for nodes drawn to the left of their parent, e.g. the left half of a balanced mind map.
+// Left and Right keys are mirrored for them so Right always leads towards the outer branches.
+function isOnLeftSide(node) {
+    const parentNode = getParentNode(node);
+    return !!parentNode && node.x < parentNode.x;
+}
+
+function getRootNode(node) {
+    const visited = new Set([node]);
+    let root = node;
+    for (let parentNode = getParentNode(node); parentNode && !visited.has(parentNode); parentNode = getParentNode(parentNode)) {
+        visited.add(parentNode);
+        root = parentNode;
+    }
+    return root;
+}
+
+// Siblings of node in outline order, including node itself. A root's children on the
+// other side of it belong to the other half of the map and are left out.
+function getSiblingNodes(node) {
+    const parentNode = getParentNode(node);
+    if (!parentNode) {
+        return nodes.filter(other => !getParentNode(other)).sort(compareByPosition);
+    }
+    const siblings = getChildNodes(parentNode);
+    const sameSide = getParentNode(parentNode) ? siblings : siblings.filter(other => isOnLeftSide(other) === isOnLeftSide(node));
+    return sameSide.sort(compareByPosition);
+}
+
+// Pans the camera just far enough to show the whole node, centring it when it does not fit
+function scrollNodeIntoView(node) {
+    const bounds = getNodeBounds(node);
+    const view = getViewBounds(-KEYBOARD_VIEW_MARGIN);
+    if (bounds.maxX - bounds.minX > view.maxX - view.minX) {
+        camera.x = node.x;
+    } else if (bounds.minX < view.minX) {
+        camera.x += bounds.minX - view.minX;
+    } else if (bounds.maxX > view.maxX) {
+        camera.x += bounds.maxX - view.maxX;
+    }
+    if (bounds.maxY - bounds.minY > view.maxY - view.minY) {
+        camera.y = node.y;
+    } else if (bounds.minY < view.minY) {
+        camera.y += bounds.minY - view.minY;
+    } else if (bounds.maxY > view.maxY) {
+        camera.y += bounds.maxY - view.maxY;
+    }
+}
+
+// Arrow keys and Home: moves the selection through the tree. Stepping into a folded
+// node's children unfolds it.
+function navigateSelection(key) {
+    if (!selectedNode) {
+        const firstRoot = nodes.filter(node => !getParentNode(node)).sort(compareByPosition)[0];
+        if (firstRoot) {
+            selectNode(firstRoot);
+            scrollNodeIntoView(firstRoot);
+            saveState();
+            draw();
+        }
+        return;
+    }
+    const node = selectedNode;
+    const parentNode = getParentNode(node);
+    let target = null;
+    let unfolded = false;
+
+    if (key === 'Home') {
+        target = getRootNode(node);
+    } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+        // Branches hidden by the task filter are skipped
+        const siblings = getSiblingNodes(node).filter(other => other === node || getTaskFilterMode(other) !== 'hide');
+        target = siblings[siblings.indexOf(node) + (key === 'ArrowUp' ? -1 : 1)];
+    } else {
+        // Roots have branches on both sides; other nodes grow away from their parent
+        const outward = parentNode ? (isOnLeftSide(node) ? 'ArrowLeft' : 'ArrowRight') : key;
+        if (key !== outward) {
+            target = parentNode;
+        } else {
+            const children = getChildNodes(node).filter(child => getTaskFilterMode(child) !== 'hide').sort(compareByPosition);
+            const sideChildren = parentNode ? children : children.filter(child => (child.x < node.x) === (key === 'ArrowLeft'));
+            target = sideChildren[0];
+            if (target && node.folded) {
+                node.folded = false;
+                unfolded = true;
+            }
+        }
+    }
+    if (!target || target === node) {
+        return;
+    }
+    selectNode(target);
+    scrollNodeIntoView(target);
+    saveState(unfolded ? 'Unfold node' : undefined); // Records the selection, or the unfolding as an undo step
+    draw();
+}
+
+// Moves the subtree under node by (dx, dy)
+function moveSubtree(node, dx, dy) {
+    [node, ...getAllDescendants(node)].forEach(moved => {
+        moved.x += dx;
+        moved.y += dy;
+    });
+}
+
+// Alt+Up/Down: swaps the selected node and its subtree with the previous or next sibling
+function moveSelectedNodeAmongSiblings(direction) {
+    if (!selectedNode) {
+        return;
+    }
+    const node = selectedNode;
+    const siblings = getSiblingNodes(node);
+    const neighbour = siblings[siblings.indexOf(node) + direction];
+    if (!neighbour) {
+        return;
+    }
+    const dx = neighbour.x - node.x;
+    const dy = neighbour.y - node.y;
+    const targets = new Map();
+    [node, ...getAllDescendants(node)].forEach(moved => targets.set(moved, { x: moved.x + dx, y: moved.y + dy }));
+    [neighbour, ...getAllDescendants(neighbour)].forEach(moved => targets.set(moved, { x: moved.x - dx, y: moved.y - dy }));
+    animateNodePositions(targets, () => {
+        scrollNodeIntoView(node);
+        saveState(direction < 0 ? 'Move node up' : 'Move node down');
+        draw();
+    });
+}
+
+// Finds a free spot for node near (x, y), below any nodes outside its own subtree
+function findFreePositionForSubtree(node, x, y) {
+    const subtree = new Set([node, ...getAllDescendants(node)]);
+    const collides = testY => getNodesNearWorldPosition(x, testY, node.radius + MAX_NODE_RADIUS).some(other =>
+        !subtree.has(other) && Math.hypot(other.x - x, other.y - testY) < node.radius + other.radius);
+    let attempts = 0;
+    while (collides(y) && attempts < 100) { // Prevent infinite loops
+        y += NODE_RADIUS * 1.5;
+        attempts++;
+    }
+    return { x: x, y: y };
+}
+
+// Gives node a new parent, keeping its subtree together at the position found for it
+function reparentSelectedNode(newParent, position, label) {
+    const node = selectedNode;
+    const connection = connections.find(conn => conn.to === node.id && conn.from === getParentNode(node).id);
+    connection.from = newParent.id;
+    invalidateGraphIndex(); // The connection was rewired in place
+    moveSubtree(node, position.x - node.x, position.y - node.y);
+    invalidateSpatialIndex();
+    scrollNodeIntoView(node);
+    saveState(label);
+    draw();
+}
+
+// Alt+Left/Right towards the parent: the node becomes a sibling of its parent, placed
+// one level further in. Children of a root stay where they are.
+function promoteSelectedNode() {
+    const parentNode = selectedNode && getParentNode(selectedNode);
+    const grandparent = parentNode && getParentNode(parentNode);
+    if (!grandparent || isDescendant(selectedNode, grandparent)) {
+        return;
+    }
+    const node = selectedNode;
+    reparentSelectedNode(grandparent, findFreePositionForSubtree(node, parentNode.x, node.y), 'Promote node');
+}
+
+// Alt+Left/Right away from the parent: the node becomes the last child of the sibling
+// above it (or below it, for the first sibling)
+function demoteSelectedNode() {
+    const node = selectedNode;
+    const parentNode = node && getParentNode(node);
+    if (!parentNode) {
+        return;
+    }
+    const siblings = getSiblingNodes(node);
+    const index = siblings.indexOf(node);
+    const newParent = siblings[index > 0 ? index - 1 : index + 1];
+    if (!newParent) {
+        return;
+    }
+    const lastChild = getChildNodes(newParent).sort(compareByPosition).pop();
+    const x = newParent.x + (node.x - parentNode.x); // One level deeper, on the same side
+    const y = lastChild ? lastChild.y + NODE_RADIUS * 1.5 : newParent.y;
+    newParent.folded = false;
+    reparentSelectedNode(newParent, findFreePositionForSubtree(node, x, y), 'Demote node');
+}
+
+// Removes the selected nodes together with all their descendants
+function deleteSelectedNodes() {
+    const idsToDelete = new Set();
+    selectedNodes.forEach(node => {
+        idsToDelete.add(node.id);
+        getAllDescendants(node).forEach(descendant => idsToDelete.add(descendant.id));
+    });
+
+    // Connections reference ids, so no re-indexing is needed
+    nodes = nodes.filter(node => !idsToDelete.has(node.id));
+    connections = connections.filter(conn => !idsToDelete.has(conn.from) && !idsToDelete.has(conn.to));
+    relationships = relationships.filter(relationship =>
+        !idsToDelete.has(relationship.from) && !idsToDelete.has(relationship.to));
+    clearSelection();
+}
+
+// Creates the Image object for a node's imageDataURL, redrawing once it has loaded
+function loadNodeImage(node) {
+    const img = new Image();
+    img.src = node.imageDataURL;
+    img.onload = () => {
+        node.image = img; // Store the loaded Image object
+        invalidateSpatialIndex(); // The image can be clicked now
+        draw(); // Redraw after image loads
+    };
+    // Handle potential errors during image loading
+    img.onerror = () => {
+        console.error("Error loading image for node:", node);
+        node.image = null; // Clear image if loading fails
+        node.imageDataURL = null;
+        draw();
+    };
+}
+
+const SUBTREE_CLIPBOARD_TYPE = 'application/x-mindmapper-subtree+json';
+
+// Copies the selected subtrees: the structured format keeps every node property and the
+// connections between copied nodes, the plain-text outline serves other applications
+function copySelectionToClipboard(clipboardData) {
+    const roots = getSelectionRoots().sort(compareByPosition);
+    const copiedNodes = [];
+    roots.forEach(root => copiedNodes.push(root, ...getAllDescendants(root)));
+    const copiedIds = new Set(copiedNodes.map(node => node.id));
+    const data = {
+        version: MAP_FORMAT_VERSION,
+        roots: roots.map(root => root.id),
+        nodes: copiedNodes.map(serializeNode),
+        connections: connections.filter(c => copiedIds.has(c.from) && copiedIds.has(c.to)),
+        relationships: relationships.filter(r => copiedIds.has(r.from) && copiedIds.has(r.to))
+    };
+    clipboardData.setData(SUBTREE_CLIPBOARD_TYPE, JSON.stringify(data));
+    clipboardData.setData('text/plain', outlineToMarkdown(buildOutline(roots)));
+}
+
+// Inserts copied subtrees with fresh ids. With a parent node they become its children,
+// placed where Tab would put a new child; otherwise they are centred on the view.
+function pasteSubtrees(data, parentNode) {
+    const idMap = new Map();
+    const pastedNodes = data.nodes.map(node => {
+        const newNode = { ...node, color: normalizeHexColor(node.color), ...normalizeTaskProperties(node), tags: normalizeTags(node.tags), id: generateNodeId(), image: null };
+        idMap.set(node.id, newNode.id);
+        return newNode;
+    });
+    const pastedConnections = data.connections
+        .filter(conn => idMap.has(conn.from) && idMap.has(conn.to))
+        .map(conn => ({ ...conn, from: idMap.get(conn.from), to: idMap.get(conn.to) }));
+    const pastedRelationships = (data.relationships || [])
+        .filter(relationship => idMap.has(relationship.from) && idMap.has(relationship.to))
+        .map(relationship => ({
+            ...relationship,
+            id: generateNodeId(),
+            from: idMap.get(relationship.from),
+            to: idMap.get(relationship.to)
+        }));
+    const pastedRoots = data.roots.map(id => pastedNodes.find(node => node.id === idMap.get(id))).filter(Boolean);
+    if (pastedRoots.length === 0) {
+        return;
+    }
+
+    // Move the block so its first root lands at the insertion point, keeping relative positions
+    const anchor = pastedRoots[0];
+    let targetX = camera.x;
+    let targetY = camera.y;
+    if (parentNode) {
+        targetX = parentNode.x + NODE_RADIUS * 2.5;
+        targetY = parentNode.y;
+        let attempts = 0;
+        while (checkCollision(targetX, targetY, NODE_RADIUS) && attempts < 100) {
+            targetY += NODE_RADIUS * 1.5;
+            attempts++;
+        }
+    }
+    const dx = targetX - anchor.x;
+    const dy = targetY - anchor.y;
+    pastedNodes.forEach(node => {
+        node.x += dx;
+        node.y += dy;
+        if (node.imageDataURL) {
+            loadNodeImage(node);
+        }
+    });
+
+    nodes.push(...pastedNodes);
+    connections.push(...pastedConnections);
+    relationships.push(...pastedRelationships);
+    if (parentNode) {
+        pastedRoots.forEach(root => {
+            root.type = 'child';
+            connections.push({ from: parentNode.id, to: root.id });
+        });
+    }
+    selectNode(pastedRoots[pastedRoots.length - 1]);
+    selectedNodes = new Set(pastedRoots);
+}
+
+// True when pasted text is a Markdown bullet list (for example copied from another map)
+function isMarkdownOutline(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    return lines.length > 1 && /^\s*([-*+]|\d+[.)])\s/.test(lines[0]);
+}
+
+window.addEventListener('copy', (e) => {
+    if (isEditableTarget(e.target) || !selectedNode) {
+        return;
+    }
+    e.preventDefault();
+    copySelectionToClipboard(e.clipboardData);
+});
+
+window.addEventListener('cut', (e) => {
+    if (isEditableTarget(e.target) || !selectedNode) {
+        return;
+    }
+    e.preventDefault();
+    copySelectionToClipboard(e.clipboardData);
+    deleteSelectedNodes();
+    draw();
+    saveState('Cut');
+});
+
+function isValidUrl(string) {
+    try {
+        new URL(string);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+window.addEventListener('paste', (e) => {
+    if (isEditableTarget(e.target)) {
+        return;
+    }
+
+    // Subtrees copied from this or another map
+    const subtreeJson = e.clipboardData.getData(SUBTREE_CLIPBOARD_TYPE);
+    if (subtreeJson) {
+        e.preventDefault();
+        try {
+            const copiedData = JSON.parse(subtreeJson);
+            const roots = (copiedData.roots || []).map(String);
+            pasteSubtrees({ ...migrateMapData(copiedData), roots: roots }, selectedNode);
+        } catch (error) {
+            console.error('Error pasting copied nodes:', error);
+            return;
+        }
+        draw();
+        saveState('Paste');
+        return;
+    }
+
+    if (selectedNode) {
+        const clipboardText = e.clipboardData.getData('text');
+        const items = e.clipboardData.items;
+
+        // Check for image data
+        for (let i = 0; i < items.length; i++) {
+            if (items[i].type.indexOf('image') !== -1) {
+                const blob = items[i].getAsFile();
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    const img = new Image();
+                    img.src = event.target.result;
+                    img.onload = () => {
+                        // Calculate initial imageScale to fit within node radius
+                        const nodeDiameter = selectedNode.radius * 2;
+                        const scale = nodeDiameter / Math.max(img.width, img.height);
+                        selectedNode.imageScale = scale; // Fit within the node
+                        selectedNode.image = img; // Store the actual Image object
+                        selectedNode.imageDataURL = event.target.result; // Store Data URL for saving
+                        draw();
+                        saveState();
+                    };
+                };
+                reader.readAsDataURL(blob);
+                return; // Image found, stop processing
+            }
+        }
+
+        // If no image, check for URL
+        if (isValidUrl(clipboardText)) {
+            selectedNode.url = clipboardText;
+            draw();
+            saveState();
+        } else if (isMarkdownOutline(clipboardText)) {
+            // Bullet outlines become a subtree styled like children of the selected node
+            const outlineMap = buildMapFromOutline(parseMarkdownOutline(clipboardText));
+            outlineMap.nodes.forEach(node => {
+                Object.assign(node, { type: 'child', shape: 'square', color: selectedNode.color });
+            });
+            const childIds = new Set(outlineMap.connections.map(conn => conn.to));
+            outlineMap.roots = outlineMap.nodes.filter(node => !childIds.has(node.id)).map(node => node.id);
+            pasteSubtrees(outlineMap, selectedNode);
+            draw();
+            saveState('Paste');
+        } else {
+            // Paste text as child nodes
+            const paragraphs = clipboardText.split(/\n\s*\n/);
+            let lastNode = selectedNode;
+            paragraphs.forEach(paragraph => {
+                if (paragraph.trim() !== '') {
+                    const parentNode = selectedNode;
+                    let newX = lastNode.x;
+                    let newY = lastNode.y + NODE_RADIUS * 1.5;
+
+                    // Adjust position to avoid overlap
+                    let attempts = 0;
+                    const maxAttempts = 100; // Prevent infinite loops
+                    const shiftAmount = NODE_RADIUS * 1.5; // Amount to shift if collision occurs
+
+                    while (checkCollision(newX, newY, NODE_RADIUS) && attempts < maxAttempts) {
+                        newY += shiftAmount;
+                        attempts++;
+                    }
+
+                    const newNode = createNode(newX, newY, {
+                        text: paragraph.trim(),
+                        type: 'child',
+                        shape: 'square',
+                        color: selectedNode.color // Inherit color from parent
+                    });
+                    nodes.push(newNode);
+                    connections.push({ from: parentNode.id, to: newNode.id });
+                    lastNode = newNode;
+                }
+            });
+            draw();
+            saveState();
+        }
+    }
+});
+
+// Strips runtime-only properties (loaded Image objects, icon hit boxes) from a node
+function serializeNode(node) {
+    return {
+        ...node,
+        image: undefined, // Don't save the Image object directly
+        urlIconBounds: undefined,
+        noteIconBounds: undefined,
+        taskCheckboxBounds: undefined
+    };
+}
+
+function serializeMap() {
+    return {
+        version: MAP_FORMAT_VERSION,
+        nodes: nodes.map(serializeNode),
+        connections: connections,
+        relationships: relationships,
+        branches: branchSettings,
+        tags: tagDefinitions,
+        presentation: presentationPath,
+        camera: camera
+    };
+}
+
+// Upgrades map data read from a file or localStorage to the current format.
+// Version 1 stored connections as [startIdx, endIdx] pairs into the nodes array;
+// version 2 gives every node an id and stores connections as { from, to } id pairs;
+// version 3 keeps cross links in `relationships` instead of extra connections;
+// version 4 leaves the colour of nodes that never got one of their own to the theme.
+function migrateMapData(data) {
+    const version = data.version || 1;
+    if (version > MAP_FORMAT_VERSION) {
+        throw new Error(`Map format version ${version} is newer than supported version ${MAP_FORMAT_VERSION}`);
+    }
+
+    const loadedNodes = Array.isArray(data.nodes) ? data.nodes : [];
+    const usedIds = new Set();
+    loadedNodes.forEach(node => {
+        // Assign ids to nodes that lack one (v1 files) or clash with an earlier node (merged files)
+        if (node.id === undefined || node.id === null || usedIds.has(String(node.id))) {
+            node.id = generateNodeId();
+        }
+        node.id = String(node.id);
+        usedIds.add(node.id);
+        if (version < 4 && LEGACY_DEFAULT_NODE_COLORS.includes(normalizeHexColor(node.color))) {
+            node.color = null;
+        }
+    });
+
+    let loadedConnections = Array.isArray(data.connections) ? data.connections : [];
+    if (version < 2) {
+        loadedConnections = loadedConnections
+            .filter(conn => Array.isArray(conn) && loadedNodes[conn[0]] && loadedNodes[conn[1]])
+            .map(([startIdx, endIdx]) => ({ from: loadedNodes[startIdx].id, to: loadedNodes[endIdx].id }));
+    }
+    // Drop connections that point at nodes which no longer exist
+    loadedConnections = loadedConnections
+        .filter(conn => conn && conn.from !== undefined && conn.to !== undefined)
+        .map(conn => ({ ...conn, from: String(conn.from), to: String(conn.to) }))
+        .filter(conn => usedIds.has(conn.from) && usedIds.has(conn.to));
+
+    let loadedRelationships = Array.isArray(data.relationships) ? data.relationships : [];
+    if (version < 3) {
+        // Cross links used to be extra connections: a node's first incoming connection stays
+        // its parent link, further ones become relationships
+        const childIds = new Set();
+        loadedConnections = loadedConnections.filter(conn => {
+            if (childIds.has(conn.to)) {
+                loadedRelationships.push({ from: conn.from, to: conn.to });
+                return false;
+            }
+            childIds.add(conn.to);
+            return true;
+        });
+    }
+    const relationshipIds = new Set();
+    loadedRelationships = loadedRelationships
+        .filter(relationship => relationship && usedIds.has(String(relationship.from)) &&
+            usedIds.has(String(relationship.to)) && String(relationship.from) !== String(relationship.to))
+        .map(relationship => {
+            let id = relationship.id === undefined || relationship.id === null ? null : String(relationship.id);
+            if (id === null || relationshipIds.has(id)) {
+                id = generateNodeId();
+            }
+            relationshipIds.add(id);
+            return {
+                id: id,
+                from: String(relationship.from),
+                to: String(relationship.to),
+                label: typeof relationship.label === 'string' ? relationship.label : '',
+                direction: RELATIONSHIP_DIRECTIONS[relationship.direction] ? relationship.direction : 'forward'
+            };
+        });
+
+    return {
+        version: MAP_FORMAT_VERSION,
+        nodes: loadedNodes,
+        connections: loadedConnections,
+        relationships: loadedRelationships,
+        branches: normalizeBranchSettings(data.branches),
+        tags: normalizeTagDefinitions(data.tags),
+        presentation: (Array.isArray(data.presentation) ? data.presentation : []).map(String).filter(id => usedIds.has(id)),
+        camera: data.camera || { x: 0, y: 0, zoom: 1 }
+    };
+}
+
+function normalizeBranchSettings(settings) {
+    const result = { ...DEFAULT_BRANCH_SETTINGS };
+    if (settings && BRANCH_STYLES[settings.style]) {
+        result.style = settings.style;
+    }
+    if (settings && typeof settings.inheritColor === 'boolean') {
+        result.inheritColor = settings.inheritColor;
+    }
+    return result;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Sibling order in outlines follows position on the canvas: top to bottom, then left to right
+function compareByPosition(a, b) {
+    return a.y - b.y || a.x - b.x;
+}
+
+// Builds the parent/child hierarchy (of the whole map, or under rootNodes) as a tree of
+// { node, children } entries. A node reachable through several connections is only listed once.
+function buildOutline(rootNodes = null) {
+    const visited = new Set();
+    const visit = node => {
+        visited.add(node.id);
+        const entry = { node: node, children: [] };
+        getChildNodes(node).sort(compareByPosition).forEach(child => {
+            if (!visited.has(child.id)) {
+                entry.children.push(visit(child));
+            }
+        });
+        return entry;
+    };
+
+    const outline = [];
+    if (rootNodes) {
+        rootNodes.forEach(root => {
+            if (!visited.has(root.id)) {
+                outline.push(visit(root));
+            }
+        });
+        return outline;
+    }
+    nodes.filter(node => !getParentNode(node)).sort(compareByPosition).forEach(root => {
+        outline.push(visit(root));
+    });
+    // Nodes caught in connection cycles have no root; list them at the top level
+    nodes.filter(node => !visited.has(node.id)).sort(compareByPosition).forEach(node => {
+        if (!visited.has(node.id)) {
+            outline.push(visit(node));
+        }
+    });
+    return outline;
+}
+
+function outlineToMarkdown(outline) {
+    const lines = [];
+    const writeEntry = (entry, depth) => {
+        const indent = '  '.repeat(depth);
+        const textLines = entry.node.text.split('\n');
+        let label = textLines[0];
+        if (entry.node.url) {
+            const escapedLabel = label.replace(/([\\\[\]])/g, '\\$1');
+            const target = /[\s()]/.test(entry.node.url) ? `<${entry.node.url}>` : entry.node.url;
+            label = `[${escapedLabel}](${target})`;
+        }
+        lines.push(`${indent}- ${label}`);
+        // Further lines of multi-line labels become continuation lines of the bullet
+        textLines.slice(1).forEach(line => lines.push(`${indent}  ${line}`));
+        // Notes follow as a quote block inside the bullet
+        if (entry.node.note) {
+            entry.node.note.split('\n').forEach(line => lines.push(`${indent}  >${line ? ' ' + line : ''}`));
+        }
+        entry.children.forEach(child => writeEntry(child, depth + 1));
+    };
+    outline.forEach(entry => writeEntry(entry, 0));
+    return lines.join('\n') + '\n';
+}
+
+function escapeXmlAttribute(text) {
+    return escapeXml(text).replace(/\n/g, '&#10;');
+}
+
+function outlineToOpml(outline) {
+    const writeEntry = (entry, depth) => {
+        const indent = '    '.repeat(depth + 2);
+        let attributes = `text="${escapeXmlAttribute(entry.node.text)}"`;
+        if (entry.node.url) {
+            attributes += ` type="link" url="${escapeXmlAttribute(entry.node.url)}"`;
+        }
+        if (entry.node.note) {
+            attributes += ` _note="${escapeXmlAttribute(entry.node.note)}"`; // Used by most outliners
+        }
+        if (entry.children.length === 0) {
+            return `${indent}<outline ${attributes}/>`;
+        }
+        return [
+            `${indent}<outline ${attributes}>`,
+            ...entry.children.map(child => writeEntry(child, depth + 1)),
+            `${indent}</outline>`
+        ].join('\n');
+    };
+    const title = outline.length > 0 ? outline[0].node.text : 'Mind Map';
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '    <head>',
+        `        <title>${escapeXml(title)}</title>`,
+        `        <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+        '    </head>',
+        '    <body>',
+        ...outline.map(entry => writeEntry(entry, 0)),
+        '    </body>',
+        '</opml>',
+        ''
+    ].join('\n');
+}
+
+// Splits a "[label](url)" Markdown link out of an outline item's text
+function parseMarkdownLink(text) {
+    const linkMatch = text.match(/\[((?:\\.|[^\]\\])*)\]\((<[^>]*>|[^)\s]*)\)/);
+    if (!linkMatch) {
+        return { text: text, url: null };
+    }
+    const label = linkMatch[1].replace(/\\(.)/g, '$1');
+    const url = linkMatch[2].replace(/^<|>$/g, '');
+    return {
+        text: (text.slice(0, linkMatch.index) + label + text.slice(linkMatch.index + linkMatch[0].length)).trim(),
+        url: url || null
+    };
+}
+
+// Parses nested Markdown bullets (and headings, which nest the bullets below them)
+// into a tree of { text, url, note, children } items. Quote blocks below an item are its note.
+function parseMarkdownOutline(markdown) {
+    const roots = [];
+    const stack = []; // Open items as { rank, item }; deeper items have a higher rank
+    let lastBullet = null;
+    let lastHeading = null;
+
+    const addItem = (rank, text) => {
+        while (stack.length > 0 && stack[stack.length - 1].rank >= rank) {
+            stack.pop();
+        }
+        const item = { ...parseMarkdownLink(text), children: [] };
+        if (stack.length > 0) {
+            stack[stack.length - 1].item.children.push(item);
+        } else {
+            roots.push(item);
+        }
+        stack.push({ rank: rank, item: item });
+        return item;
+    };
+
+    markdown.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/\t/g, '    ');
+        if (line.trim() === '') {
+            return;
+        }
+        const indent = line.match(/^ */)[0].length;
+        const headingMatch = line.match(/^\s*(#{1,6})\s+(.*)$/);
+        const bulletMatch = line.match(/^(\s*)(?:[-*+]|\d+[.)])(?:\s+(.*))?$/);
+        const quoteMatch = line.match(/^\s*> ?(.*)$/);
+        const noteTarget = lastBullet && indent > lastBullet.indent ? lastBullet.item : lastHeading;
+
+        if (headingMatch) {
+            // Headings rank above any bullet, so bullets below a heading become its children
+            lastHeading = addItem(headingMatch[1].length - 10, headingMatch[2].replace(/\s+#+\s*$/, '').trim());
+            lastBullet = null;
+        } else if (bulletMatch) {
+            const item = addItem(indent, (bulletMatch[2] || '').trim());
+            lastBullet = { indent: indent, item: item };
+            lastHeading = null;
+        } else if (quoteMatch && noteTarget) {
+            noteTarget.note = noteTarget.note === undefined ? quoteMatch[1] : noteTarget.note + '\n' + quoteMatch[1];
+        } else if (lastBullet && indent > lastBullet.indent) {
+            // Indented plain text under a bullet continues that bullet's label
+            lastBullet.item.text += '\n' + line.trim();
+        } else {
+            // Plain indented text outlines: one item per line, nested by indentation
+            addItem(indent, line.trim());
+            lastBullet = null;
+            lastHeading = null;
+        }
+    });
+    return roots;
+}
+
+function parseXmlDocument(xmlText, formatName) {
+    const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(`Invalid ${formatName}: the file is not well-formed XML`);
+    }
+    return doc;
+}
+
+function parseOpmlOutline(xmlText) {
+    const doc = parseXmlDocument(xmlText, 'OPML');
+    const body = doc.getElementsByTagName('body')[0];
+    if (!body) {
+        throw new Error('Invalid OPML: missing <body> element');
+    }
+    const readOutlines = element => Array.from(element.children)
+        .filter(child => child.tagName === 'outline')
+        .map(outline => ({
+            text: outline.getAttribute('text') || outline.getAttribute('title') || '',
+            url: outline.getAttribute('url') || outline.getAttribute('htmlUrl') || outline.getAttribute('xmlUrl') || null,
+            note: outline.getAttribute('_note') || '',
+            children: readOutlines(outline)
+        }));
+    return readOutlines(body);
+}
+
+const OUTLINE_LEVEL_SPACING = NODE_RADIUS * 2.5; // Same horizontal step the Tab handler uses
+const OUTLINE_SIBLING_SPACING = NODE_RADIUS * 2.5;
+
+// Accepts #rgb and #rrggbb colours, returning them as lowercase #rrggbb (or null)
+function normalizeHexColor(color) {
+    if (typeof color !== 'string') {
+        return null;
+    }
+    const match = color.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) {
+        return null;
+    }
+    const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+    return '#' + hex.toLowerCase();
+}
+
+// Collects features that could not be carried over when converting between formats,
+// so the user gets a readable summary instead of silently losing data
+function createConversionReport() {
+    const counts = new Map();
+    return {
+        add(feature) {
+            counts.set(feature, (counts.get(feature) || 0) + 1);
+        },
+        isEmpty() {
+            return counts.size === 0;
+        },
+        format(heading) {
+            const lines = Array.from(counts, ([feature, count]) => `- ${feature}: ${count}`);
+            return `${heading}\n\n${lines.join('\n')}`;
+        }
+    };
+}
+
+// Unsupported FreeMind child elements and how they are described in the import report
+const FREEMIND_UNSUPPORTED_ELEMENTS = {
+    icon: 'Icons',
+    font: 'Font styles',
+    edge: 'Edge styles',
+    cloud: 'Clouds',
+    attribute: 'Attributes',
+    attribute_layout: 'Attribute layouts',
+    hook: 'Plugin data (hooks)'
+};
+
+// Reads the visible text and the first embedded image out of FreeMind's HTML node content.
+// Returns the text instead of setting item.text when `asNote` is set.
+function readFreeMindRichContent(element, item, report, asNote = false) {
+    const textParts = [];
+    const walk = current => {
+        Array.from(current.childNodes).forEach(child => {
+            if (child.nodeType === 3) { // Text node
+                textParts.push(child.nodeValue.replace(/\s+/g, ' '));
+                return;
+            }
+            if (child.nodeType !== 1) {
+                return;
+            }
+            const tagName = child.localName.toLowerCase();
+            if (tagName === 'head' || tagName === 'style' || tagName === 'script') {
+                return;
+            }
+            if (tagName === 'img') {
+                const src = child.getAttribute('src') || '';
+                if (asNote) {
+                    report.add('Images in notes');
+                } else if (!src.startsWith('data:')) {
+                    report.add('Images linked from outside the file');
+                } else if (item.imageDataURL) {
+                    report.add('Additional images on a node');
+                } else {
+                    item.imageDataURL = src;
+                }
+                return;
+            }
+            if (tagName === 'br') {
+                textParts.push('\n');
+                return;
+            }
+            walk(child);
+            if (/^(p|div|li|h[1-6]|tr)$/.test(tagName)) {
+                textParts.push('\n'); // Block elements end a line
+            }
+        });
+    };
+    walk(element);
+    const lines = textParts.join('').split('\n').map(line => line.trim());
+    if (asNote) {
+        // Empty paragraphs separate Markdown blocks in notes
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+    const text = lines.filter(line => line !== '').join('\n');
+    item.text = text;
+    return text;
+}
+
+function parseFreeMind(xmlText, report) {
+    const doc = parseXmlDocument(xmlText, 'FreeMind file');
+    const mapElement = doc.documentElement;
+    if (!mapElement || mapElement.tagName !== 'map') {
+        throw new Error('Invalid FreeMind file: missing <map> element');
+    }
+
+    const links = [];
+    const readNode = element => {
+        const item = {
+            key: element.getAttribute('ID') || null,
+            text: element.getAttribute('TEXT') || '',
+            url: null,
+            color: normalizeHexColor(element.getAttribute('BACKGROUND_COLOR')),
+            folded: element.getAttribute('FOLDED') === 'true',
+            imageDataURL: null,
+            children: []
+        };
+        const link = element.getAttribute('LINK');
+        if (link && link.startsWith('#')) {
+            report.add('Links to other nodes');
+        } else if (link) {
+            item.url = link;
+        }
+        if (element.getAttribute('COLOR')) {
+            report.add('Text colours');
+        }
+
+        Array.from(element.childNodes).filter(child => child.nodeType === 1).forEach(child => {
+            if (child.tagName === 'node') {
+                item.children.push(readNode(child));
+            } else if (child.tagName === 'arrowlink') {
+                // FreeMind omits arrows that are left at their default: an arrow at the target only
+                links.push({
+                    from: item.key,
+                    to: child.getAttribute('DESTINATION'),
+                    label: child.getAttribute('MIDDLE_LABEL') || '',
+                    direction: getRelationshipDirection(
+                        (child.getAttribute('STARTARROW') || 'None') !== 'None',
+                        (child.getAttribute('ENDARROW') || 'Default') !== 'None')
+                });
+            } else if (child.tagName === 'linktarget') {
+                // Freeplane repeats arrow links on their target node; the arrowlink is enough
+            } else if (child.tagName === 'richcontent') {
+                const type = child.getAttribute('TYPE') || 'NODE';
+                if (type === 'NODE') {
+                    readFreeMindRichContent(child, item, report);
+                } else if (type === 'NOTE') {
+                    item.note = readFreeMindRichContent(child, item, report, true);
+                } else {
+                    report.add('Node details');
+                }
+            } else {
+                report.add(FREEMIND_UNSUPPORTED_ELEMENTS[child.tagName] || `<${child.tagName}> elements`);
+            }
+        });
+        return item;
+    };
+
+    const items = Array.from(mapElement.childNodes)
+        .filter(child => child.nodeType === 1 && child.tagName === 'node')
+        .map(readNode);
+    return { items: items, links: links };
+}
+
+function getRelationshipDirection(arrowAtSource, arrowAtTarget) {
+    if (arrowAtSource && arrowAtTarget) {
+        return 'both';
+    }
+    if (arrowAtSource) {
+        return 'backward';
+    }
+    return arrowAtTarget ? 'forward' : 'none';
+}
+
+// Returns the connections that are not part of the outline tree (second parents, cycles),
+// which outline-based formats can only express as cross links
+function getNonTreeConnections(outline) {
+    const treeEdges = new Set();
+    const collectEdges = entry => entry.children.forEach(child => {
+        treeEdges.add(entry.node.id + '>' + child.node.id);
+        collectEdges(child);
+    });
+    outline.forEach(collectEdges);
+    return connections.filter(conn => !treeEdges.has(conn.from + '>' + conn.to));
+}
+
+function outlineToFreeMind(outline, report) {
+    const freeMindIds = new Map();
+    nodes.forEach((node, index) => freeMindIds.set(node.id, 'ID_' + (index + 1)));
+    const arrowLinks = new Map(); // Source node id -> relationships starting there
+    const crossLinks = getNonTreeConnections(outline).map(conn => ({ ...conn, label: '', direction: 'forward' }));
+    [...crossLinks, ...relationships].forEach(link => {
+        if (!arrowLinks.has(link.from)) {
+            arrowLinks.set(link.from, []);
+        }
+        arrowLinks.get(link.from).push(link);
+    });
+
+    const writeNode = (node, children, depth) => {
+        const indent = '  '.repeat(depth);
+        let attributes = `ID="${freeMindIds.get(node.id)}"`;
+        if (!node.imageDataURL) {
+            attributes += ` TEXT="${escapeXmlAttribute(node.text)}"`;
+        }
+        if (node.color) {
+            attributes += ` BACKGROUND_COLOR="${escapeXmlAttribute(node.color)}"`;
+        }
+        if (node.folded && children.length > 0) {
+            attributes += ' FOLDED="true"';
+        }
+        if (node.url) {
+            attributes += ` LINK="${escapeXmlAttribute(node.url)}"`;
+        }
+
+        const lines = [`${indent}<node ${attributes}>`];
+        if (node.imageDataURL) {
+            // FreeMind shows images through HTML node content, which then replaces the TEXT attribute
+            const paragraphs = node.text.split('\n').map(line => `<p>${escapeXml(line)}</p>`).join('');
+            lines.push(`${indent}  <richcontent TYPE="NODE"><html><head></head><body>` +
+                `${paragraphs}<img src="${escapeXmlAttribute(node.imageDataURL)}"/></body></html></richcontent>`);
+        }
+        if (node.note) {
+            // FreeMind notes are HTML; the Markdown source is kept line by line
+            const paragraphs = node.note.split('\n').map(line => `<p>${escapeXml(line)}</p>`).join('');
+            lines.push(`${indent}  <richcontent TYPE="NOTE"><html><head></head><body>${paragraphs}</body></html></richcontent>`);
+        }
+        (arrowLinks.get(node.id) || []).forEach(link => {
+            const startArrow = link.direction === 'backward' || link.direction === 'both' ? 'Default' : 'None';
+            const endArrow = link.direction === 'forward' || link.direction === 'both' ? 'Default' : 'None';
+            const label = link.label ? ` MIDDLE_LABEL="${escapeXmlAttribute(link.label)}"` : '';
+            lines.push(`${indent}  <arrowlink DESTINATION="${freeMindIds.get(link.to)}" ` +
+                `STARTARROW="${startArrow}" ENDARROW="${endArrow}"${label}/>`);
+        });
+        children.forEach(child => lines.push(writeNode(child.node, child.children, depth + 1)));
+        if (lines.length === 1) {
+            return `${indent}<node ${attributes}/>`;
+        }
+        lines.push(`${indent}</node>`);
+        return lines.join('\n');
+    };
+
+    let rootXml;
+    if (outline.length === 1) {
+        rootXml = writeNode(outline[0].node, outline[0].children, 0);
+    } else {
+        // FreeMind maps have exactly one root, so separate trees go under a new one
+        report.add('Separate top-level nodes placed under a new "Mind Map" root');
+        rootXml = `<node ID="ID_0" TEXT="Mind Map">\n` +
+            outline.map(entry => writeNode(entry.node, entry.children, 1)).join('\n') +
+            '\n</node>';
+    }
+    return `<map version="1.0.1">\n${rootXml}\n</map>\n`;
+}
+
+function parseXMindContent(jsonText, report) {
+    let sheets = JSON.parse(jsonText);
+    if (!Array.isArray(sheets)) {
+        sheets = [sheets];
+    }
+    const sheet = sheets.find(candidate => candidate && candidate.rootTopic);
+    if (!sheet) {
+        throw new Error('Invalid XMind content: no sheet with a root topic');
+    }
+    sheets.filter(other => other !== sheet).forEach(() => report.add('Additional sheets'));
+
+    const floatingTopics = [];
+    const readTopic = topic => {
+        const properties = (topic.style && topic.style.properties) || {};
+        const item = {
+            key: topic.id || null,
+            text: topic.title || '',
+            url: null,
+            color: normalizeHexColor(properties['svg:fill']),
+            folded: topic.branch === 'folded',
+            imageDataURL: null,
+            children: []
+        };
+        if (topic.href && topic.href.startsWith('xmind:')) {
+            report.add('Links to other topics');
+        } else if (topic.href) {
+            item.url = topic.href;
+        }
+        if (topic.image && topic.image.src) {
+            if (topic.image.src.startsWith('data:')) {
+                item.imageDataURL = topic.image.src;
+            } else {
+                report.add('Images stored in the .xmind archive');
+            }
+        }
+        if (properties['fo:color']) {
+            report.add('Text colours');
+        }
+        if (topic.notes && topic.notes.plain && typeof topic.notes.plain.content === 'string') {
+            item.note = topic.notes.plain.content;
+        } else if (topic.notes) {
+            report.add('Notes without a plain text version');
+        }
+        (topic.labels || []).forEach(() => report.add('Labels'));
+        (topic.markers || []).forEach(() => report.add('Markers'));
+        (topic.summaries || []).forEach(() => report.add('Summaries'));
+        (topic.boundaries || []).forEach(() => report.add('Boundaries'));
+
+        const children = topic.children || {};
+        Object.keys(children).forEach(kind => {
+            if (kind === 'attached') {
+                item.children = children.attached.map(readTopic);
+            } else if (kind === 'detached') {
+                // Floating topics become separate trees
+                children.detached.forEach(floating => floatingTopics.push(readTopic(floating)));
+            } else {
+                children[kind].forEach(() => report.add(`Topics of type "${kind}"`));
+            }
+        });
+        return item;
+    };
+
+    const root = readTopic(sheet.rootTopic);
+    // XMind draws relationships with an arrow at the second end unless its style says otherwise
+    const hasArrow = (properties, key, byDefault) =>
+        properties[key] ? !String(properties[key]).endsWith('.none') : byDefault;
+    const links = (sheet.relationships || []).map(relationship => {
+        const properties = (relationship.style && relationship.style.properties) || {};
+        return {
+            from: relationship.end1Id,
+            to: relationship.end2Id,
+            label: relationship.title || '',
+            direction: getRelationshipDirection(
+                hasArrow(properties, 'arrow-begin-class', false),
+                hasArrow(properties, 'arrow-end-class', true))
+        };
+    });
+    return { items: [root, ...floatingTopics], links: links };
+}
+
+function outlineToXMind(outline, report) {
+    const toTopic = entry => {
+        const node = entry.node;
+        const topic = { id: node.id, class: 'topic', title: node.text };
+        if (node.color) {
+            topic.style = { id: generateNodeId(), properties: { 'svg:fill': node.color } };
+        }
+        if (node.folded && entry.children.length > 0) {
+            topic.branch = 'folded';
+        }
+        if (node.url) {
+            topic.href = node.url;
+        }
+        if (node.note) {
+            topic.notes = { plain: { content: node.note } };
+        }
+        if (node.imageDataURL) {
+            report.add('Images (XMind keeps them in the .xmind archive, not in content.json)');
+        }
+        if (entry.children.length > 0) {
+            topic.children = { attached: entry.children.map(toTopic) };
+        }
+        return topic;
+    };
+
+    const rootTopic = toTopic(outline[0]);
+    if (outline.length > 1) {
+        // Separate trees become floating topics of the sheet
+        rootTopic.children = rootTopic.children || {};
+        rootTopic.children.detached = outline.slice(1).map(toTopic);
+    }
+    const sheet = {
+        id: generateNodeId(),
+        class: 'sheet',
+        title: outline[0].node.text,
+        rootTopic: rootTopic
+    };
+    const crossLinks = getNonTreeConnections(outline).map(conn => ({ ...conn, label: '', direction: 'forward' }));
+    const xmindRelationships = [...crossLinks, ...relationships].map(link => {
+        const xmindRelationship = { id: generateNodeId(), end1Id: link.from, end2Id: link.to };
+        if (link.label) {
+            xmindRelationship.title = link.label;
+        }
+        if (link.direction !== 'forward') {
+            const arrowClass = hasArrow => hasArrow ? 'org.xmind.arrowShape.triangle' : 'org.xmind.arrowShape.none';
+            xmindRelationship.style = {
+                id: generateNodeId(),
+                properties: {
+                    'arrow-begin-class': arrowClass(link.direction === 'backward' || link.direction === 'both'),
+                    'arrow-end-class': arrowClass(link.direction === 'both')
+                }
+            };
+        }
+        return xmindRelationship;
+    });
+    if (xmindRelationships.length > 0) {
+        sheet.relationships = xmindRelationships;
+    }
+    return JSON.stringify([sheet], null, 2);
+}
+
+// Creates map data from a tree of { key, text, url, note, color, folded, imageDataURL, children } items
+// (only text and children are required), laid out as right-growing trees stacked top to bottom.
+// `links` are relationships { from, to, label, direction } between items given by their key.
+function buildMapFromOutline(items, links = [], report = createConversionReport()) {
+    if (items.length === 0) {
+        throw new Error('The outline does not contain any items');
+    }
+    const newNodes = [];
+    const newConnections = [];
+    const nodeIdsByKey = new Map();
+    let nextLeafY = 0;
+    let maxDepth = 0;
+
+    const placeItem = (item, depth, parentNode) => {
+        maxDepth = Math.max(maxDepth, depth);
+        const properties = {
+            text: item.text,
+            url: item.url || null,
+            note: item.note || '',
+            folded: !!item.folded && item.children.length > 0
+        };
+        if (parentNode) {
+            Object.assign(properties, {
+                type: 'child',
+                shape: 'square',
+                color: parentNode.color // Inherit color from parent
+            });
+        }
+        if (item.color) {
+            properties.color = item.color;
+        }
+        if (item.imageDataURL) {
+            properties.imageDataURL = item.imageDataURL;
+            properties.imageScale = null; // Fitted to the node once the image size is known
+        }
+        const node = createNode(depth * OUTLINE_LEVEL_SPACING, 0, properties);
+        newNodes.push(node);
+        if (item.key) {
+            nodeIdsByKey.set(item.key, node.id);
+        }
+        if (parentNode) {
+            newConnections.push({ from: parentNode.id, to: node.id });
+        }
+
+        if (item.children.length === 0) {
+            node.y = nextLeafY;
+            nextLeafY += OUTLINE_SIBLING_SPACING;
+        } else {
+            // Centre parents vertically on their children
+            const childNodes = item.children.map(child => placeItem(child, depth + 1, node));
+            node.y = (childNodes[0].y + childNodes[childNodes.length - 1].y) / 2;
+        }
+        return node;
+    };
+
+    items.forEach(item => {
+        placeItem(item, 0, null);
+        nextLeafY += OUTLINE_SIBLING_SPACING; // Extra gap between separate trees
+    });
+
+    const newRelationships = links
+        .filter(link => {
+            if (!nodeIdsByKey.has(link.from) || !nodeIdsByKey.has(link.to)) {
+                report.add('Links to nodes that are not in the file');
+                return false;
+            }
+            if (link.from === link.to) {
+                report.add('Links from a node to itself');
+                return false;
+            }
+            return true;
+        })
+        .map(link => ({
+            id: generateNodeId(),
+            from: nodeIdsByKey.get(link.from),
+            to: nodeIdsByKey.get(link.to),
+            label: link.label || '',
+            direction: link.direction || 'forward'
+        }));
+
+    return {
+        version: MAP_FORMAT_VERSION,
+        nodes: newNodes,
+        connections: newConnections,
+        relationships: newRelationships,
+        camera: {
+            x: (maxDepth * OUTLINE_LEVEL_SPACING) / 2,
+            y: (nextLeafY - OUTLINE_SIBLING_SPACING * 2) / 2,
+            zoom: 1
+        }
+    };
+}
+
+// File formats offered by the Save and Load buttons. `serialize` returns the file
+// contents for the current map; `parse` turns file contents into map data.
+const MAP_FILE_FORMATS = {
+    dimap: {
+        label: 'Mind map (.dimap)',
+        extensions: ['.dimap'],
+        mimeType: 'application/json',
+        serialize: () => JSON.stringify(serializeMap(), null, 4),
+        parse: text => migrateMapData(JSON.parse(text))
+    },
+    markdown: {
+        label: 'Markdown outline (.md)',
+        extensions: ['.md', '.markdown', '.txt'],
+        mimeType: 'text/markdown',
+        serialize: () => outlineToMarkdown(buildOutline()),
+        parse: text => buildMapFromOutline(parseMarkdownOutline(text))
+    },
+    opml: {
+        label: 'OPML outline (.opml)',
+        extensions: ['.opml'],
+        mimeType: 'text/x-opml',
+        serialize: () => outlineToOpml(buildOutline()),
+        parse: text => buildMapFromOutline(parseOpmlOutline(text))
+    },
+    freemind: {
+        label: 'FreeMind (.mm)',
+        extensions: ['.mm'],
+        mimeType: 'application/x-freemind',
+        serialize: report => outlineToFreeMind(buildOutline(), report),
+        parse: (text, report) => {
+            const { items, links } = parseFreeMind(text, report);
+            return buildMapFromOutline(items, links, report);
+        }
+    },
+    xmind: {
+        label: 'XMind content (content.json)',
+        extensions: ['.json'],
+        fileName: 'content.json',
+        mimeType: 'application/json',
+        serialize: report => outlineToXMind(buildOutline(), report),
+        parse: (text, report) => {
+            const { items, links } = parseXMindContent(text, report);
+            return buildMapFromOutline(items, links, report);
+        }
+    }
+};
+
+// Picks the format of a loaded file by its extension. Mind maps saved as .json are read
+// as .dimap files unless they hold an XMind sheet with a root topic.
+function getFileFormatForFile(fileName, text) {
+    const lowerName = fileName.toLowerCase();
+    const formatKey = Object.keys(MAP_FILE_FORMATS).find(key =>
+        MAP_FILE_FORMATS[key].extensions.some(extension => lowerName.endsWith(extension)));
+    if (formatKey === 'xmind' && !isXMindContent(text)) {
+        return MAP_FILE_FORMATS.dimap;
+    }
+    return MAP_FILE_FORMATS[formatKey || 'dimap'];
+}
+
+function isXMindContent(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return false; // Reported as an invalid file when parsed
+    }
+    return (Array.isArray(data) ? data : [data]).some(sheet => sheet && typeof sheet === 'object' && sheet.rootTopic);
+}
+
+function saveMap(formatKey = 'dimap') {
+    const format = MAP_FILE_FORMATS[formatKey];
+    const report = createConversionReport();
+    const blob = new Blob([format.serialize(report)], { type: format.mimeType });
+    downloadBlob(blob, format.fileName || 'mindmap' + format.extensions[0]);
+    if (!report.isEmpty()) {
+        alert(report.format(`Saved as ${format.label}. Some content could not be included:`));
+    }
+}
+
+// Loads images of imported nodes that still need an imageScale and fits them to the node
+function fitImportedImages(importedNodes) {
+    const pending = importedNodes
+        .filter(node => node.imageDataURL && node.imageScale === null)
+        .map(node => new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => {
+                node.imageScale = (node.radius * 2) / Math.max(img.width, img.height);
+                resolve();
+            };
+            img.onerror = () => {
+                console.error('Error loading image for node:', node);
+                node.imageDataURL = null;
+                node.imageScale = 1.0;
+                resolve();
+            };
+            img.src = node.imageDataURL;
+        }));
+    return Promise.all(pending);
+}
+
+function clampHistoryLimit(limit) {
+    if (!Number.isFinite(limit)) {
+        return DEFAULT_HISTORY_LIMIT;
+    }
+    return Math.max(MIN_HISTORY_LIMIT, Math.min(MAX_HISTORY_LIMIT, limit));
+}
+
+// Copies the parts of the map that undo restores. Serialized nodes are fresh objects that
+// share their strings (including image data URLs) with the live nodes, so this is cheap.
+function takeHistorySnapshot() {
+    return {
+        nodes: nodes.map(serializeNode),
+        connections: connections.map(conn => ({ ...conn })),
+        relationships: relationships.map(relationship => ({ ...relationship })),
+        branches: { ...branchSettings },
+        tags: tagDefinitions.map(definition => ({ ...definition })),
+        presentation: presentationPath.slice()
+    };
+}
+
+// Identifies a connection including its branch style, so restyled branches count as changed
+function getConnectionKey(conn) {
+    return JSON.stringify([conn.from, conn.to, conn.color, conn.width, conn.dash]);
+}
+
+// Compares two lists of records with ids (nodes, relationships). Added and removed records
+// keep their array index, which decides drawing order; changed ones only their changed properties.
+function diffRecordLists(beforeList, afterList) {
+    const changes = [];
+    const beforeRecords = new Map(beforeList.map((record, index) => [record.id, { record, index }]));
+    const afterIds = new Set();
+
+    afterList.forEach((record, index) => {
+        afterIds.add(record.id);
+        const previous = beforeRecords.get(record.id);
+        if (!previous) {
+            changes.push({ id: record.id, index: index, before: null, after: record });
+            return;
+        }
+        const beforeProps = {};
+        const afterProps = {};
+        new Set([...Object.keys(previous.record), ...Object.keys(record)]).forEach(key => {
+            if (key !== 'id' && previous.record[key] !== record[key]) {
+                beforeProps[key] = previous.record[key];
+                afterProps[key] = record[key];
+            }
+        });
+        if (Object.keys(afterProps).length > 0) {
+            changes.push({ id: record.id, before: beforeProps, after: afterProps });
+        }
+    });
+    beforeRecords.forEach(({ record, index }, id) => {
+        if (!afterIds.has(id)) {
+            changes.push({ id: id, index: index, before: record, after: null });
+        }
+    });
+    return changes;
+}
+
+// Records what changed between two snapshots: node and relationship changes as returned by
+// diffRecordLists(), plus the added and removed connections. Returns null when nothing changed.
+function diffHistorySnapshots(before, after) {
+    const beforeKeys = new Set(before.connections.map(getConnectionKey));
+    const afterKeys = new Set(after.connections.map(getConnectionKey));
+    const changes = {
+        nodes: diffRecordLists(before.nodes, after.nodes),
+        relationships: diffRecordLists(before.relationships, after.relationships),
+        addedConnections: after.connections.filter(conn => !beforeKeys.has(getConnectionKey(conn))),
+        removedConnections: before.connections.filter(conn => !afterKeys.has(getConnectionKey(conn))),
+        branches: null,
+        tags: null,
+        presentation: null
+    };
+    if (JSON.stringify(before.branches) !== JSON.stringify(after.branches)) {
+        changes.branches = { before: before.branches, after: after.branches };
+    }
+    if (JSON.stringify(before.tags) !== JSON.stringify(after.tags)) {
+        changes.tags = { before: before.tags, after: after.tags };
+    }
+    if (before.presentation.join(' ') !== after.presentation.join(' ')) {
+        changes.presentation = { before: before.presentation, after: after.presentation };
+    }
+
+    return hasHistoryChanges(changes) ? changes : null;
+}
+
+function hasHistoryChanges(changes) {
+    return changes.nodes.length > 0 || changes.relationships.length > 0 || changes.addedConnections.length > 0 ||
+        changes.removedConnections.length > 0 || !!changes.branches || !!changes.tags || !!changes.presentation;
+}
+
+// Names a recorded operation for the history panel
+function describeHistoryChanges(changes) {
+    const countNodes = count => count === 1 ? 'node' : `${count} nodes`;
+    const added = changes.nodes.filter(change => !change.before).length;
+    const removed = changes.nodes.filter(change => !change.after).length;
+    if (added > 0 && removed === 0) {
+        return `Add ${countNodes(added)}`;
+    }
+    if (removed > 0 && added === 0) {
+        return `Delete ${countNodes(removed)}`;
+    }
+    if (added > 0) {
+        return 'Replace nodes';
+    }
+    if (changes.branches) {
+        return 'Change branch style';
+    }
+    if (changes.tags) {
+        return 'Edit tags';
+    }
+    if (changes.presentation) {
+        return 'Edit presentation path';
+    }
+    if (changes.removedConnections.length > 0 && changes.addedConnections.length > 0) {
+        return `Reparent ${countNodes(changes.addedConnections.length)}`;
+    }
+    if (changes.addedConnections.length > 0) {
+        return 'Connect nodes';
+    }
+    if (changes.removedConnections.length > 0) {
+        return 'Disconnect nodes';
+    }
+    if (changes.nodes.length === 0) {
+        const relationshipCount = changes.relationships.length;
+        if (changes.relationships.every(change => !change.before)) {
+            return relationshipCount === 1 ? 'Add relationship' : `Add ${relationshipCount} relationships`;
+        }
+        if (changes.relationships.every(change => !change.after)) {
+            return relationshipCount === 1 ? 'Delete relationship' : `Delete ${relationshipCount} relationships`;
+        }
+        return 'Edit relationship';
+    }
+
+    const changedKeys = new Set(changes.nodes.flatMap(change => Object.keys(change.after)));
+    const count = countNodes(changes.nodes.length);
+    if (changedKeys.has('text')) {
+        return 'Edit text';
+    }
+    if (changedKeys.has('imageDataURL')) {
+        return changes.nodes.some(change => change.after.imageDataURL) ? 'Attach image' : 'Remove image';
+    }
+    if (changedKeys.has('imageScale')) {
+        return 'Scale image';
+    }
+    if (changedKeys.has('url')) {
+        return 'Edit link';
+    }
+    if (changedKeys.has('note')) {
+        return 'Edit note';
+    }
+    if (changedKeys.has('tags')) {
+        return `Edit tags of ${count}`;
+    }
+    if (['done', 'priority', 'dueDate', 'progress'].some(key => changedKeys.has(key))) {
+        return changes.nodes.length === 1 ? 'Edit task' : `Edit tasks of ${count}`;
+    }
+    if (changedKeys.has('folded')) {
+        return `Fold or unfold ${count}`;
+    }
+    if (changedKeys.has('radius')) {
+        return `Resize ${count}`;
+    }
+    if (changedKeys.has('color') || changedKeys.has('shape') || changedKeys.has('type')) {
+        return `Change style of ${count}`;
+    }
+    if (changedKeys.has('x') || changedKeys.has('y')) {
+        return `Move ${count}`;
+    }
+    return `Edit ${count}`;
+}
+
+// Property-only changes to the same nodes in quick succession (re-editing text, holding
+// + or -) are folded into the previous step instead of filling the history
+function canGroupHistoryEntries(previous, entry) {
+    if (!previous.changes || previous.label !== entry.label ||
+        entry.time - previous.time > HISTORY_GROUP_INTERVAL) {
+        return false;
+    }
+    const propertyOnly = changes => changes.addedConnections.length === 0 && changes.removedConnections.length === 0 &&
+        changes.relationships.length === 0 && !changes.branches && !changes.tags && !changes.presentation &&
+        changes.nodes.every(change => change.before && change.after);
+    const changedIds = changes => changes.nodes.map(change => change.id).sort().join(' ');
+    return propertyOnly(previous.changes) && propertyOnly(entry.changes) &&
+        changedIds(previous.changes) === changedIds(entry.changes);
+}
+
+function groupHistoryEntries(previous, entry) {
+    previous.changes.nodes.forEach(change => {
+        const next = entry.changes.nodes.find(nextChange => nextChange.id === change.id);
+        change.before = { ...next.before, ...change.before };
+        change.after = { ...change.after, ...next.after };
+    });
+    previous.time = entry.time;
+    previous.selection = entry.selection;
+    previous.camera = entry.camera;
+}
+
+// Records the changes made since the last call as one undo step and schedules saving the map.
+// `label` names the step in the history panel; it is derived from the changes when omitted.
+function saveState(label) {
+    invalidateGraphIndex(); // Nodes may have moved or been rewired in place
+    requestDraw(); // Refreshes the minimap, which is drawn from the indexes
+    scheduleWorkspaceSave();
+
+    const snapshot = takeHistorySnapshot();
+    const entry = {
+        label: label || null,
+        time: Date.now(),
+        changes: historyBaseline ? diffHistorySnapshots(historyBaseline, snapshot) : null,
+        selection: [...selectedNodes].map(node => node.id),
+        camera: { ...camera }
+    };
+    historyBaseline = snapshot;
+    if (collab) {
+        sendCollabChanges(entry.changes);
+    }
+
+    if (historyPointer >= 0 && !entry.changes) {
+        // Nothing to undo; keep the selection and view for when this step is restored
+        history[historyPointer].selection = entry.selection;
+        history[historyPointer].camera = entry.camera;
+        return;
+    }
+    entry.label = entry.label || (entry.changes ? describeHistoryChanges(entry.changes) : 'Open map');
+
+    // Save to history stack
+    if (historyPointer < history.length - 1) {
+        history = history.slice(0, historyPointer + 1);
+    }
+    if (historyPointer > 0 && canGroupHistoryEntries(history[historyPointer], entry)) {
+        groupHistoryEntries(history[historyPointer], entry);
+    } else {
+        history.push(entry);
+        historyPointer = history.length - 1;
+        trimHistory();
+    }
+    renderHistoryPanel();
+    renderTagsPanel();
+    renderPresentationPath();
+}
+
+// Drops the oldest steps beyond the limit; the oldest kept entry becomes the starting state
+function trimHistory() {
+    const excess = history.length - 1 - historyLimit;
+    if (excess > 0) {
+        history.splice(0, excess);
+        historyPointer = Math.max(0, historyPointer - excess);
+    }
+}
+
+// Starts a new history for a map that replaced the current one
+function resetHistory() {
+    history = [];
+    historyPointer = -1;
+    historyBaseline = null;
+}
+
+// Applies record changes from diffRecordLists() to a list, forwards (redo) or backwards (undo).
+// Changed records are updated in place; returns the list with records added and removed.
+function applyRecordChanges(list, recordChanges, forward, createRecord) {
+    const removedIds = new Set();
+    const restoredRecords = [];
+    recordChanges.forEach(change => {
+        const from = forward ? change.before : change.after;
+        const to = forward ? change.after : change.before;
+        if (!to) {
+            removedIds.add(change.id);
+        } else if (!from) {
+            restoredRecords.push({ index: change.index, record: createRecord(to) });
+        } else {
+            const record = list.find(candidate => candidate.id === change.id);
+            if (record) {
+                Object.assign(record, to);
+            }
+        }
+    });
+    const result = list.filter(record => !removedIds.has(record.id));
+    // Put restored records back at their old place in the drawing order
+    restoredRecords.sort((a, b) => a.index - b.index).forEach(({ index, record }) => {
+        result.splice(Math.min(index, result.length), 0, record);
+    });
+    return result;
+}
+
+// Applies a recorded step to the live map, forwards (redo) or backwards (undo)
+function applyHistoryChanges(changes, forward) {
+    const addedConnections = forward ? changes.addedConnections : changes.removedConnections;
+    const removedKeys = new Set((forward ? changes.removedConnections : changes.addedConnections).map(getConnectionKey));
+    connections = connections.filter(conn => !removedKeys.has(getConnectionKey(conn)));
+    connections.push(...addedConnections.map(conn => ({ ...conn })));
+    if (changes.branches) {
+        branchSettings = { ...(forward ? changes.branches.after : changes.branches.before) };
+    }
+    if (changes.tags) {
+        tagDefinitions = (forward ? changes.tags.after : changes.tags.before).map(definition => ({ ...definition }));
+    }
+    if (changes.presentation) {
+        presentationPath = (forward ? changes.presentation.after : changes.presentation.before).slice();
+    }
+
+    nodes = applyRecordChanges(nodes, changes.nodes, forward, node => ({ ...node, image: null }));
+    relationships = applyRecordChanges(relationships, changes.relationships, forward, relationship => ({ ...relationship }));
+
+    // Reload images whose data changed or that belong to restored nodes
+    changes.nodes.forEach(change => {
+        const to = forward ? change.after : change.before;
+        if (to && 'imageDataURL' in to) {
+            const node = getNodeById(change.id);
+            node.image = null;
+            if (node.imageDataURL) {
+                loadNodeImage(node);
+            }
+        }
+    });
+}
+
+// Brings the map to the state after history entry `index`, restoring its selection and camera
+function goToHistoryEntry(index) {
+    if (index < 0 || index >= history.length || index === historyPointer) {
+        return;
+    }
+    const previousBaseline = historyBaseline;
+    while (historyPointer > index) {
+        applyHistoryChanges(history[historyPointer].changes, false);
+        historyPointer--;
+    }
+    while (historyPointer < index) {
+        historyPointer++;
+        applyHistoryChanges(history[historyPointer].changes, true);
+    }
+
+    const entry = history[historyPointer];
+    camera = { ...entry.camera };
+    clearSelection();
+    entry.selection.map(getNodeById).filter(Boolean).forEach(node => {
+        selectedNodes.add(node);
+        selectedNode = node;
+    });
+    historyBaseline = takeHistorySnapshot();
+    if (collab) {
+        // Others get the undone or redone changes as new edits
+        sendCollabChanges(diffHistorySnapshots(previousBaseline, historyBaseline));
+        syncCollabConnections();
+    }
+    scheduleWorkspaceSave(); // Save current state to the workspace after loading from history
+    if (!searchBar.classList.contains('hidden')) {
+        updateSearchResults();
+    }
+    renderHistoryPanel();
+    renderTagsPanel();
+    renderPresentationPath();
+    draw();
+}
+
+function undo() {
+    commitTextEditing();
+    goToHistoryEntry(historyPointer - 1);
+}
+
+function redo() {
+    commitTextEditing();
+    goToHistoryEntry(historyPointer + 1);
+}
+
+const historyPanel = document.getElementById('history-panel');
+const historyList = document.getElementById('history-list');
+const historyLimitInput = document.getElementById('history-limit');
+
+function renderHistoryPanel() {
+    if (historyPanel.classList.contains('hidden')) {
+        return;
+    }
+    const items = history.map((entry, index) => {
+        const item = document.createElement('li');
+        item.textContent = entry.label;
+        item.title = new Date(entry.time).toLocaleTimeString();
+        if (index === historyPointer) {
+            item.classList.add('current');
+        } else if (index > historyPointer) {
+            item.classList.add('undone'); // Can still be redone
+        }
+        item.addEventListener('click', () => goToHistoryEntry(index));
+        return item;
+    });
+    historyList.replaceChildren(...items);
+    if (items[historyPointer]) {
+        items[historyPointer].scrollIntoView({ block: 'nearest' });
+    }
+}
+
+function toggleHistoryPanel() {
+    historyPanel.classList.toggle('hidden');
+    if (!historyPanel.classList.contains('hidden')) {
+        closeNotesPanel(); // Both panels use the right side of the window
+    }
+    historyLimitInput.value = historyLimit;
+    renderHistoryPanel();
+}
+
+historyLimitInput.addEventListener('change', () => {
+    historyLimit = clampHistoryLimit(parseInt(historyLimitInput.value, 10));
+    historyLimitInput.value = historyLimit;
+    localStorage.setItem('mindmapHistoryLimit', String(historyLimit));
+    trimHistory();
+    renderHistoryPanel();
+});
+
+document.getElementById('history-close').addEventListener('click', toggleHistoryPanel);
+
+// Notes: Markdown text kept with a node, edited and previewed in a side panel that follows
+// the selected node. Typing is recorded as one undo step once it pauses.
+const NOTE_SAVE_DELAY = 500; // ms without typing before a note edit is recorded
+
+// Links in notes may only lead to web pages, mail addresses or anchors
+function isSafeNoteLink(url) {
+    return /^(https?:|mailto:|#)/i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+// Inline Markdown: code spans, links, bold, italic and strikethrough. Everything else is escaped.
+function renderMarkdownInline(text) {
+    const codeSpans = [];
+    let html = escapeXml(text.replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(code);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    }));
+    html = html
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => isSafeNoteLink(url)
+            ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`
+            : label)
+        .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(\S(?:.*?\S)?)__/g, '<strong>$1</strong>')
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_(\S(?:.*?\S)?)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/~~(\S(?:.*?\S)?)~~/g, '<del>$1</del>');
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${escapeXml(codeSpans[index])}</code>`);
+}
+
+// Block Markdown: headings, paragraphs, nested bullet and numbered lists, quotes, fenced
+// code and rules. Returns HTML in which all note text is escaped.
+function renderMarkdown(markdown) {
+    const html = [];
+    let paragraph = [];
+    let quote = [];
+    const lists = []; // Open lists as { indent, tag }
+    let codeBlock = null;
+
+    const closeParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.map(renderMarkdownInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+        if (quote.length > 0) {
+            html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+            quote = [];
+        }
+    };
+    const closeLists = (indent = -1) => {
+        while (lists.length > 0 && lists[lists.length - 1].indent > indent) {
+            html.push(`</li></${lists.pop().tag}>`);
+        }
+    };
+
+    markdown.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/\t/g, '    ');
+        if (codeBlock) {
+            if (/^\s*```/.test(line)) {
+                html.push(`<pre><code>${escapeXml(codeBlock.join('\n'))}</code></pre>`);
+                codeBlock = null;
+            } else {
+                codeBlock.push(line);
+            }
+            return;
+        }
+        const indent = line.match(/^ */)[0].length;
+        const headingMatch = line.match(/^\s*(#{1,6})\s+(.*)$/);
+        const listMatch = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        const quoteMatch = line.match(/^\s*> ?(.*)$/);
+
+        if (line.trim() === '') {
+            closeParagraph();
+            closeLists();
+        } else if (/^\s*```/.test(line)) {
+            closeParagraph();
+            closeLists();
+            codeBlock = [];
+        } else if (headingMatch) {
+            closeParagraph();
+            closeLists();
+            const level = headingMatch[1].length;
+            html.push(`<h${level}>${renderMarkdownInline(headingMatch[2].replace(/\s+#+\s*$/, ''))}</h${level}>`);
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            closeParagraph();
+            closeLists();
+            html.push('<hr>');
+        } else if (quoteMatch) {
+            if (paragraph.length > 0) {
+                closeParagraph();
+            }
+            closeLists();
+            quote.push(quoteMatch[1]);
+        } else if (listMatch) {
+            closeParagraph();
+            const tag = /\d/.test(listMatch[2]) ? 'ol' : 'ul';
+            closeLists(indent);
+            const current = lists[lists.length - 1];
+            if (current && current.indent === indent && current.tag !== tag) {
+                closeLists(indent - 1); // A different kind of list at the same depth starts a new list
+            }
+            if (lists.length > 0 && lists[lists.length - 1].indent === indent) {
+                html.push('</li><li>');
+            } else {
+                lists.push({ indent: indent, tag: tag });
+                html.push(`<${tag}><li>`);
+            }
+            html.push(renderMarkdownInline(listMatch[3]));
+        } else if (lists.length > 0 && indent > lists[lists.length - 1].indent) {
+            html.push('<br>' + renderMarkdownInline(line.trim())); // Continuation of a list item
+        } else {
+            if (quote.length > 0) {
+                closeParagraph();
+            }
+            closeLists();
+            paragraph.push(line.trim());
+        }
+    });
+    if (codeBlock) {
+        html.push(`<pre><code>${escapeXml(codeBlock.join('\n'))}</code></pre>`);
+    }
+    closeParagraph();
+    closeLists();
+    return html.join('');
+}
+
+// Records typed note text as an undo step
+function flushNoteSave() {
+    if (noteSaveTimer !== null) {
+        clearTimeout(noteSaveTimer);
+        noteSaveTimer = null;
+        saveState('Edit note');
+    }
+}
+
+function setNoteEditing(editing, focus = false) {
+    noteEditing = editing;
+    noteEditor.classList.toggle('hidden', !editing);
+    notePreview.classList.toggle('hidden', editing);
+    noteModeButton.textContent = editing ? 'Preview' : 'Edit';
+    if (editing && focus) {
+        noteEditor.focus();
+    } else if (!editing) {
+        notePreview.innerHTML = notesPanelNode && notesPanelNode.note
+            ? renderMarkdown(notesPanelNode.note)
+            : '<p class="note-empty">No note yet. Click Edit to write one in Markdown.</p>';
+    }
+}
+
+// Shows the note of the selected node; called by draw() so the panel follows the selection
+// and picks up notes changed elsewhere, e.g. by undo or Replace All
+function updateNotesPanel() {
+    if (notesPanel.classList.contains('hidden')) {
+        return;
+    }
+    const note = selectedNode ? selectedNode.note || '' : '';
+    if (notesPanelNode !== selectedNode) {
+        flushNoteSave();
+        notesPanelNode = selectedNode;
+        noteEditor.disabled = !selectedNode;
+        noteModeButton.disabled = !selectedNode;
+        noteEditor.value = note;
+        setNoteEditing(noteEditing && !!selectedNode);
+    } else if (noteEditor.value !== note && document.activeElement !== noteEditor) {
+        noteEditor.value = note;
+        setNoteEditing(noteEditing);
+    }
+    const title = selectedNode ? selectedNode.text.split('\n')[0] : 'Select a node to see its note';
+    if (notesTitle.textContent !== title) {
+        notesTitle.textContent = title;
+    }
+}
+
+function openNotesPanel() {
+    if (!historyPanel.classList.contains('hidden')) {
+        toggleHistoryPanel();
+    }
+    notesPanel.classList.remove('hidden');
+    notesPanelNode = undefined; // Shows the selected node's note on the next update
+    updateNotesPanel();
+    if (selectedNode && !selectedNode.note) {
+        setNoteEditing(true, true); // Nothing to read yet
+    }
+}
+
+function closeNotesPanel() {
+    flushNoteSave();
+    notesPanel.classList.add('hidden');
+    notesPanelNode = null;
+}
+
+noteEditor.addEventListener('input', () => {
+    if (!notesPanelNode) {
+        return;
+    }
+    notesPanelNode.note = noteEditor.value;
+    requestDraw(); // Shows or hides the note icon
+    clearTimeout(noteSaveTimer);
+    noteSaveTimer = setTimeout(flushNoteSave, NOTE_SAVE_DELAY);
+});
+noteEditor.addEventListener('blur', flushNoteSave);
+noteEditor.addEventListener('keydown', e => {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        setNoteEditing(false);
+    }
+});
+noteModeButton.addEventListener('click', () => setNoteEditing(!noteEditing, true));
+document.getElementById('notes-close').addEventListener('click', closeNotesPanel);
+document.getElementById('notes-button').addEventListener('click', () => {
+    if (notesPanel.classList.contains('hidden')) {
+        openNotesPanel();
+    } else {
+        closeNotesPanel();
+    }
+});
+
+// Tags: names shared by nodes across branches, with a colour and optional icon per map.
+// The legend panel lists them, renames and recolours them everywhere at once and filters
+// the canvas to the nodes carrying the ticked tags.
+const tagsPanel = document.getElementById('tags-panel');
+const tagList = document.getElementById('tag-list');
+const tagInput = document.getElementById('tag-input');
+const tagFilterClearButton = document.getElementById('tag-filter-clear');
+
+// Creates or changes the legend entry of a tag
+function setTagDefinition(name, properties) {
+    const index = tagDefinitions.findIndex(definition => definition.name === name);
+    const definition = { ...getTagDefinition(name), ...properties };
+    tagDefinitions = index === -1
+        ? [...tagDefinitions, definition]
+        : tagDefinitions.map((other, otherIndex) => otherIndex === index ? definition : other);
+}
+
+// Adds the tags typed into the legend, separated by commas, to the selected nodes
+function addTagsToSelection() {
+    const names = normalizeTags(tagInput.value.split(','));
+    if (names.length === 0) {
+        return;
+    }
+    if (selectedNodes.size === 0) {
+        alert('Select the nodes to tag first.');
+        return;
+    }
+    names.forEach(name => {
+        if (!tagDefinitions.some(definition => definition.name === name)) {
+            setTagDefinition(name, {}); // Fixes the colour in the legend
+        }
+    });
+    selectedNodes.forEach(node => {
+        node.tags = normalizeTags([...(node.tags || []), ...names]);
+    });
+    tagInput.value = '';
+    saveState(names.length === 1 ? `Tag with ${names[0]}` : 'Add tags');
+    draw();
+}
+
+function removeTagFromSelection(name) {
+    const taggedNodes = [...selectedNodes].filter(node => (node.tags || []).includes(name));
+    if (taggedNodes.length === 0) {
+        alert(`None of the selected nodes is tagged with ${name}.`);
+        return;
+    }
+    taggedNodes.forEach(node => {
+        node.tags = node.tags.filter(tag => tag !== name);
+    });
+    saveState(`Untag ${name}`);
+    draw();
+}
+
+// Renames a tag on every node; renaming it to an existing tag merges the two
+function renameTag(oldName, newName) {
+    nodes.forEach(node => {
+        if ((node.tags || []).includes(oldName)) {
+            node.tags = normalizeTags(node.tags.map(tag => tag === oldName ? newName : tag));
+        }
+    });
+    const merged = tagDefinitions.some(definition => definition.name === newName);
+    tagDefinitions = tagDefinitions
+        .filter(definition => !(merged && definition.name === oldName))
+        .map(definition => definition.name === oldName ? { ...definition, name: newName } : definition);
+    if (!merged && !tagDefinitions.some(definition => definition.name === newName)) {
+        setTagDefinition(newName, { color: getTagDefinition(oldName).color });
+    }
+    if (tagFilter.delete(oldName)) {
+        tagFilter.add(newName);
+    }
+    saveState('Rename tag');
+    draw();
+}
+
+function deleteTag(name) {
+    const count = nodes.filter(node => (node.tags || []).includes(name)).length;
+    if (count > 0 && !confirm(`Remove the tag "${name}" from ${count === 1 ? '1 node' : `${count} nodes`}?`)) {
+        return;
+    }
+    nodes.forEach(node => {
+        if ((node.tags || []).includes(name)) {
+            node.tags = node.tags.filter(tag => tag !== name);
+        }
+    });
+    tagDefinitions = tagDefinitions.filter(definition => definition.name !== name);
+    tagFilter.delete(name);
+    saveState('Delete tag');
+    draw();
+}
+
+function createTagListItem(name, count) {
+    const definition = getTagDefinition(name);
+    const item = document.createElement('li');
+
+    const filterCheckbox = document.createElement('input');
+    filterCheckbox.type = 'checkbox';
+    filterCheckbox.checked = tagFilter.has(name);
+    filterCheckbox.title = 'Show only nodes with the ticked tags';
+    filterCheckbox.addEventListener('change', () => {
+        if (filterCheckbox.checked) {
+            tagFilter.add(name);
+        } else {
+            tagFilter.delete(name);
+        }
+        tagFilterClearButton.disabled = tagFilter.size === 0;
+        draw();
+    });
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = definition.color;
+    colorInput.title = 'Colour';
+    colorInput.addEventListener('input', () => {
+        setTagDefinition(name, { color: colorInput.value });
+        requestDraw();
+    });
+    colorInput.addEventListener('change', () => saveState('Change tag colour'));
+
+    const iconInput = document.createElement('input');
+    iconInput.type = 'text';
+    iconInput.className = 'tag-icon';
+    iconInput.value = definition.icon;
+    iconInput.placeholder = 'Icon';
+    iconInput.title = 'Icon shown before the name, e.g. an emoji';
+    iconInput.addEventListener('change', () => {
+        setTagDefinition(name, { icon: iconInput.value.trim() });
+        saveState('Change tag icon');
+        draw();
+    });
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'tag-name';
+    nameInput.value = name;
+    nameInput.title = 'Rename the tag on every node';
+    nameInput.addEventListener('change', () => {
+        const newName = normalizeTagName(nameInput.value);
+        if (!newName || newName === name) {
+            nameInput.value = name;
+            return;
+        }
+        renameTag(name, newName);
+    });
+
+    const countLabel = document.createElement('span');
+    countLabel.className = 'tag-count';
+    countLabel.textContent = count;
+    countLabel.title = count === 1 ? '1 node' : `${count} nodes`;
+
+    const removeButton = document.createElement('button');
+    removeButton.textContent = '\u2212';
+    removeButton.title = 'Remove from the selected nodes';
+    removeButton.addEventListener('click', () => removeTagFromSelection(name));
+
+    const deleteButton = document.createElement('button');
+    deleteButton.innerHTML = '&times;';
+    deleteButton.title = 'Delete from every node';
+    deleteButton.addEventListener('click', () => deleteTag(name));
+
+    item.append(filterCheckbox, colorInput, iconInput, nameInput, countLabel, removeButton, deleteButton);
+    return item;
+}
+
+function renderTagsPanel() {
+    if (tagsPanel.classList.contains('hidden')) {
+        return;
+    }
+    const counts = new Map();
+    nodes.forEach(node => (node.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    const names = getAllTagNames();
+    const items = names.map(name => createTagListItem(name, counts.get(name) || 0));
+    if (items.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'tag-empty';
+        empty.textContent = 'No tags yet. Select nodes and add one above.';
+        items.push(empty);
+    }
+    tagList.replaceChildren(...items);
+    tagFilterClearButton.disabled = tagFilter.size === 0;
+}
+
+function toggleTagsPanel() {
+    tagsPanel.classList.toggle('hidden');
+    renderTagsPanel();
+}
+
+tagInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        addTagsToSelection();
+    }
+});
+document.getElementById('tag-add').addEventListener('click', addTagsToSelection);
+tagFilterClearButton.addEventListener('click', () => {
+    tagFilter.clear();
+    renderTagsPanel();
+    draw();
+});
+document.getElementById('tags-close').addEventListener('click', toggleTagsPanel);
+document.getElementById('tags-button').addEventListener('click', toggleTagsPanel);
+
+function loadMap() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = Object.values(MAP_FILE_FORMATS).flatMap(format => format.extensions).join(',');
+    input.onchange = e => {
+        const file = e.target.files[0];
+        if (file) {
+            const reader = new FileReader();
+            reader.onload = event => {
+                const format = getFileFormatForFile(file.name, event.target.result);
+                const report = createConversionReport();
+                let loadedData;
+                try {
+                    loadedData = format.parse(event.target.result, report);
+                } catch (error) {
+                    console.error('Error parsing mind map file:', error);
+                    alert('Error loading mind map: Invalid file format.');
+                    return;
+                }
+                fitImportedImages(loadedData.nodes).then(() => {
+                    if (!report.isEmpty()) {
+                        alert(report.format(`Imported ${loadedData.nodes.length} nodes from ${format.label}. ` +
+                            'These features are not supported and were left out:'));
+                    }
+                    if (!workspaceDb) {
+                        applyMapData(loadedData);
+                        resetHistory();
+                        saveState();
+                        draw();
+                        return;
+                    }
+                    // Loaded files become new maps in the workspace
+                    const mapName = file.name.replace(/\.[^.]+$/, '') || UNTITLED_MAP_NAME;
+                    createWorkspaceMap(mapName, loadedData).then(openWorkspaceMap).catch(reportWorkspaceError);
+                });
+            };
+            reader.readAsText(file);
+        }
+    };
+    input.click();
+}
+
+// Workspace of named maps kept in IndexedDB. Map records hold the serialized map with
+// images replaced by the ids of blobs in the images store; the open map is written back
+// shortly after every change.
+const WORKSPACE_DB_NAME = 'mindmapper';
+const WORKSPACE_DB_VERSION = 1;
+const WORKSPACE_SAVE_DELAY = 300; // ms to wait for further changes before writing the map
+const UNTITLED_MAP_NAME = 'Untitled map';
+let workspaceDb = null;
+let currentMapInfo = null; // { id, name, createdAt, updatedAt, openedAt } of the open map
+let savingToLocalStorage = false; // Set when IndexedDB cannot be opened; the map is kept in localStorage as before
+let storedImageIds = new Map(); // Image data URL -> id of its blob stored for the open map
+let workspaceSaveTimer = null;
+let workspaceSaveQueue = Promise.resolve(); // Writes are chained so they never overlap
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+function openWorkspaceDb() {
+    if (!window.indexedDB) {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    const request = indexedDB.open(WORKSPACE_DB_NAME, WORKSPACE_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('maps', { keyPath: 'id' });
+        const images = db.createObjectStore('images', { keyPath: 'id' });
+        images.createIndex('mapId', 'mapId');
+    };
+    return requestToPromise(request);
+}
+
+function dataURLToBlob(dataURL) {
+    const commaIndex = dataURL.indexOf(',');
+    const header = dataURL.slice(5, commaIndex); // After 'data:'
+    const payload = dataURL.slice(commaIndex + 1);
+    const binary = header.endsWith(';base64') ? atob(payload) : decodeURIComponent(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: header.split(';')[0] });
+}
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Lists stored maps without their contents, most recently opened first
+function listWorkspaceMaps() {
+    const transaction = workspaceDb.transaction('maps', 'readonly');
+    return requestToPromise(transaction.objectStore('maps').getAll()).then(records => records
+        .map(({ data, ...info }) => ({ ...info, nodeCount: data.nodes.length }))
+        .sort((a, b) => b.openedAt - a.openedAt));
+}
+
+// Writes a map record. Images not yet stored for the map are added as blobs, stored
+// images no longer used by any node are deleted. `imageIds` (data URL -> image id) is
+// updated once the write has succeeded.
+function writeWorkspaceMap(info, data, imageIds) {
+    const newImages = new Map();
+    const usedIds = new Set();
+    const storedNodes = data.nodes.map(node => {
+        if (!node.imageDataURL) {
+            return node;
+        }
+        let imageId = imageIds.get(node.imageDataURL) || newImages.get(node.imageDataURL);
+        if (!imageId) {
+            imageId = generateNodeId();
+            newImages.set(node.imageDataURL, imageId);
+        }
+        usedIds.add(imageId);
+        return { ...node, imageDataURL: null, imageId: imageId };
+    });
+    const unusedImages = [...imageIds].filter(([, imageId]) => !usedIds.has(imageId));
+
+    const transaction = workspaceDb.transaction(['maps', 'images'], 'readwrite');
+    const imageStore = transaction.objectStore('images');
+    transaction.objectStore('maps').put({ ...info, data: { ...data, nodes: storedNodes } });
+    newImages.forEach((imageId, dataURL) => {
+        imageStore.put({ id: imageId, mapId: info.id, blob: dataURLToBlob(dataURL) });
+    });
+    unusedImages.forEach(([, imageId]) => imageStore.delete(imageId));
+
+    return transactionToPromise(transaction).then(() => {
+        newImages.forEach((imageId, dataURL) => imageIds.set(dataURL, imageId));
+        unusedImages.forEach(([dataURL]) => imageIds.delete(dataURL));
+    });
+}
+
+// Reads a map and turns its image blobs back into data URLs. Resolves to
+// { info, data, imageIds } or null when the map does not exist.
+function readWorkspaceMap(mapId) {
+    const transaction = workspaceDb.transaction(['maps', 'images'], 'readonly');
+    return Promise.all([
+        requestToPromise(transaction.objectStore('maps').get(mapId)),
+        requestToPromise(transaction.objectStore('images').index('mapId').getAll(mapId))
+    ]).then(([record, images]) => {
+        if (!record) {
+            return null;
+        }
+        return Promise.all(images.map(image => blobToDataURL(image.blob).then(dataURL => [image.id, dataURL])))
+            .then(imageEntries => {
+                const dataURLs = new Map(imageEntries);
+                const { data, ...info } = record;
+                const nodesWithImages = data.nodes.map(({ imageId, ...node }) => ({
+                    ...node,
+                    imageDataURL: imageId ? dataURLs.get(imageId) || null : node.imageDataURL || null
+                }));
+                return {
+                    info: info,
+                    data: { ...data, nodes: nodesWithImages },
+                    imageIds: new Map(imageEntries.map(([imageId, dataURL]) => [dataURL, imageId]))
+                };
+            });
+    });
+}
+
+function createWorkspaceMap(name, data) {
+    const now = Date.now();
+    const info = { id: generateNodeId(), name: name, createdAt: now, updatedAt: now, openedAt: now };
+    return writeWorkspaceMap(info, data, new Map()).then(() => info.id);
+}
+
+function saveCurrentMap() {
+    if (savingToLocalStorage) {
+        localStorage.setItem('mindmap', JSON.stringify(serializeMap()));
+        return Promise.resolve();
+    }
+    if (!workspaceDb || !currentMapInfo) {
+        return Promise.resolve();
+    }
+    currentMapInfo.updatedAt = Date.now();
+    return writeWorkspaceMap({ ...currentMapInfo }, serializeMap(), storedImageIds);
+}
+
+function scheduleWorkspaceSave() {
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = setTimeout(flushWorkspaceSave, WORKSPACE_SAVE_DELAY);
+}
+
+// Writes pending changes of the open map now; resolves when all writes have finished
+function flushWorkspaceSave() {
+    if (workspaceSaveTimer !== null) {
+        clearTimeout(workspaceSaveTimer);
+        workspaceSaveTimer = null;
+        workspaceSaveQueue = workspaceSaveQueue.then(saveCurrentMap).catch(error => {
+            console.error('Error saving mind map:', error);
+            alert(`Error saving mind map: ${error.message}`);
+        });
+    }
+    return workspaceSaveQueue;
+}
+
+// Replaces the current map with map data and normalizes node properties
+function applyMapData(state) {
+    if (collab && collab.status !== 'opening') {
+        leaveCollaboration(); // The session shares the map being replaced
+    }
+    nodes = state.nodes.map(node => {
+        const newNode = {
+            ...node,
+            url: node.url || null,
+            color: normalizeHexColor(node.color),
+            note: typeof node.note === 'string' ? node.note : '',
+            ...normalizeTaskProperties(node),
+            tags: normalizeTags(node.tags),
+            radius: node.radius || NODE_RADIUS,
+            folded: node.folded || false,
+            image: null, // Initialize image to null, will be loaded asynchronously
+            imageDataURL: node.imageDataURL || null, // Load the Data URL string
+            imageScale: node.imageScale || 1.0
+        };
+
+        if (newNode.imageDataURL) {
+            loadNodeImage(newNode);
+        }
+        return newNode;
+    });
+    connections = state.connections;
+    relationships = state.relationships || [];
+    branchSettings = normalizeBranchSettings(state.branches);
+    tagDefinitions = normalizeTagDefinitions(state.tags);
+    tagFilter = new Set(); // Filters of the previous map do not apply
+    presentationPath = Array.isArray(state.presentation) ? state.presentation.slice() : [];
+    camera = state.camera ? { ...state.camera, zoom: clampZoom(state.camera.zoom || 1) } : { x: 0, y: 0, zoom: 1 };
+
+    // If no nodes are loaded, create a default father node in the center
+    if (nodes.length === 0) {
+        nodes.push(createNode(0, 0));
+    }
+    if (ignoreSavedView) {
+        cancelCameraAnimation();
+        camera = getCameraForBounds(getVisibleNodesBounds(nodes));
+    }
+}
+
+// Task properties of a node read from a file, with anything invalid dropped
+function normalizeTaskProperties(node) {
+    const priority = Number(node.priority);
+    const progress = Number(node.progress);
+    return {
+        done: typeof node.done === 'boolean' ? node.done : null,
+        priority: Number.isInteger(priority) && priority >= 1 && priority <= 5 ? priority : null,
+        dueDate: typeof node.dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(node.dueDate) ? node.dueDate : null,
+        progress: node.progress !== null && node.progress !== undefined && Number.isFinite(progress)
+            ? Math.max(0, Math.min(100, Math.round(progress))) : null
+    };
+}
+
+function openWorkspaceMap(mapId) {
+    commitTextEditing();
+    return flushWorkspaceSave().then(() => readWorkspaceMap(mapId)).then(map => {
+        if (!map) {
+            throw new Error('The map no longer exists');
+        }
+        let data;
+        try {
+            data = migrateMapData(map.data); // Upgrades index-based maps written by older versions
+        } catch (error) {
+            console.error('Error migrating saved mind map:', error);
+            alert(`Error opening "${map.info.name}": ${error.message}`);
+            return;
+        }
+        currentMapInfo = { ...map.info, openedAt: Date.now() };
+        storedImageIds = map.imageIds;
+        applyMapData(data);
+        clearSelection();
+        closeSearchBar();
+        document.title = `${currentMapInfo.name} - Mind Mapper`;
+        // Clear history when opening another map
+        resetHistory();
+        saveState(); // Records the starting state and the new opening time
+        draw();
+    });
+}
+
+// Shows map data without adding it to the workspace: with no currentMapInfo nothing is saved
+function openUnsavedMap(name, data) {
+    commitTextEditing();
+    currentMapInfo = null;
+    applyMapData(data);
+    clearSelection();
+    closeSearchBar();
+    document.title = `${name} - Mind Mapper`;
+    resetHistory();
+    saveState();
+    draw();
+}
+
+// The map kept in localStorage by earlier versions, or when IndexedDB is not available
+function readLocalStorageMap() {
+    try {
+        return migrateMapData(JSON.parse(localStorage.getItem('mindmap')) || { nodes: [], connections: [] });
+    } catch (error) {
+        console.error('Error migrating saved mind map:', error);
+        return { nodes: [], connections: [] };
+    }
+}
+
+// Moves the map kept in localStorage by earlier versions into the workspace
+function migrateLocalStorageMap() {
+    const state = readLocalStorageMap();
+    return createWorkspaceMap(state.nodes.length > 0 ? 'My map' : UNTITLED_MAP_NAME, state).then(mapId => {
+        localStorage.removeItem('mindmap');
+        return mapId;
+    });
+}
+
+// Benchmark for large maps: opening index.html?benchmark=5000 opens a generated map with that
+// many nodes, replays panning and dragging on it and reports the frame rate. The map is
+// temporary and never stored in the workspace.
+const DEFAULT_BENCHMARK_SIZE = 5000;
+const BENCHMARK_BRANCHING = 6; // Children per topic in generated maps
+const BENCHMARK_FRAMES = 120; // Mouse moves replayed for each benchmark step
+const BENCHMARK_HIT_TESTS = 1000;
+
+function getRequestedBenchmarkSize() {
+    const value = new URLSearchParams(location.search).get('benchmark');
+    if (value === null) {
+        return 0;
+    }
+    const size = parseInt(value, 10);
+    // The root needs a branch to drag, so the smallest map is the root and its children
+    return size > 0 ? Math.max(size, BENCHMARK_BRANCHING + 1) : DEFAULT_BENCHMARK_SIZE;
+}
+
+// A balanced tree of nodeCount topics, laid out like an imported outline, with a
+// relationship from every 100th topic to the one 50 before it
+function generateBenchmarkMap(nodeCount) {
+    const items = [];
+    for (let i = 0; i < nodeCount; i++) {
+        const item = { text: `Topic ${i + 1}`, key: String(i), children: [] };
+        if (i > 0) {
+            items[Math.floor((i - 1) / BENCHMARK_BRANCHING)].children.push(item);
+        }
+        items.push(item);
+    }
+    const links = [];
+    for (let i = 100; i < nodeCount; i += 100) {
+        links.push({ from: String(i), to: String(i - 50), label: 'see also' });
+    }
+    return buildMapFromOutline([items[0]], links);
+}
+
+// Sends one mouse event per animation frame through the canvas handlers and resolves
+// with the time between frames
+function replayMouseGesture(start, dx, dy, button) {
+    return new Promise(resolve => {
+        const frameTimes = [];
+        let previousTime = null;
+        let frame = 0;
+        const sendPointerEvent = (type, x, y) => {
+            canvas.dispatchEvent(new PointerEvent(type, {
+                clientX: x, clientY: y, button: button, pointerId: 1, pointerType: 'mouse', isPrimary: true, bubbles: true
+            }));
+        };
+        const step = now => {
+            if (previousTime !== null) {
+                frameTimes.push(now - previousTime);
+            }
+            previousTime = now;
+            if (frame === BENCHMARK_FRAMES) {
+                sendPointerEvent('pointerup', start.x + dx * frame, start.y + dy * frame);
+                resolve(frameTimes);
+                return;
+            }
+            frame++;
+            sendPointerEvent('pointermove', start.x + dx * frame, start.y + dy * frame);
+            requestAnimationFrame(step);
+        };
+        sendPointerEvent('pointerdown', start.x, start.y);
+        requestAnimationFrame(step);
+    });
+}
+
+function runBenchmark() {
+    const rootNode = nodes.find(node => !getParentNode(node));
+    const branchNode = getChildNodes(rootNode)[0];
+    const results = [];
+    const record = (label, frameTimes) => {
+        const average = frameTimes.reduce((sum, time) => sum + time, 0) / frameTimes.length;
+        results.push({
+            step: label,
+            'frames per second': Math.round(1000 / average),
+            'slowest frame (ms)': Math.round(Math.max(...frameTimes))
+        });
+    };
+    const centreOn = (node, zoom) => {
+        camera = { x: node.x, y: node.y, zoom: zoom };
+        draw();
+    };
+    const emptySpot = () => worldToScreen(rootNode.x - NODE_RADIUS * 3, rootNode.y); // Left of the root nothing is drawn
+
+    centreOn(rootNode, 1);
+    replayMouseGesture(emptySpot(), 0, 20, 1).then(frameTimes => {
+        record('Pan at 100% zoom', frameTimes);
+        centreOn(rootNode, 0.1);
+        return replayMouseGesture(emptySpot(), 0, 20, 1);
+    }).then(frameTimes => {
+        record('Pan at 10% zoom (whole levels in view)', frameTimes);
+        centreOn(branchNode, 0.5);
+        // Drag towards the empty space left of the root so the branch is not dropped onto another node
+        return replayMouseGesture(worldToScreen(branchNode.x, branchNode.y), -5, 0, 0);
+    }).then(frameTimes => {
+        record(`Drag a branch of ${getAllDescendants(branchNode).length + 1} nodes`, frameTimes);
+        const startTime = performance.now();
+        for (let i = 0; i < BENCHMARK_HIT_TESTS; i++) {
+            getNodeAtScreenPosition(Math.random() * canvas.width, Math.random() * canvas.height);
+        }
+        const hitTestTime = (performance.now() - startTime) / BENCHMARK_HIT_TESTS;
+        alert(`Benchmark with ${nodes.length} nodes:\n` +
+            results.map(result => `${result.step}: ${result['frames per second']} fps, slowest frame ${result['slowest frame (ms)']} ms`).join('\n') +
+            `\nHit test: ${hitTestTime.toFixed(3)} ms`);
+    }).catch(error => {
+        console.error('Benchmark failed:', error);
+        alert(`Benchmark failed: ${error.message}`);
+    });
+}
+
+function loadState() {
+    const benchmarkSize = getRequestedBenchmarkSize();
+    openWorkspaceDb().then(db => {
+        workspaceDb = db;
+        return listWorkspaceMaps();
+    }).then(maps => {
+        if (benchmarkSize) {
+            openUnsavedMap(`Benchmark (${benchmarkSize} nodes)`, migrateMapData(generateBenchmarkMap(benchmarkSize)));
+            runBenchmark();
+            return;
+        }
+        return Promise.resolve(maps.length > 0 ? maps[0].id : migrateLocalStorageMap()).then(openWorkspaceMap);
+    }).catch(error => {
+        console.error('Error opening map workspace:', error);
+        alert('Could not open the map workspace. Only this map is kept, in this browser\'s local storage; other maps cannot be opened.');
+        workspaceDb = null;
+        currentMapInfo = null;
+        savingToLocalStorage = true;
+        applyMapData(readLocalStorageMap());
+        resetHistory();
+        saveState();
+        draw();
+    });
+}
+
+function createNewMap() {
+    const name = prompt('Name of the new map:', UNTITLED_MAP_NAME);
+    if (name === null) {
+        return;
+    }
+    createWorkspaceMap(name.trim() || UNTITLED_MAP_NAME, { nodes: [], connections: [] })
+        .then(openWorkspaceMap)
+        .then(closeMapsDialog)
+        .catch(reportWorkspaceError);
+}
+
+function renameMap(mapId, oldName) {
+    const name = prompt('Rename map:', oldName);
+    if (name === null || !name.trim()) {
+        return;
+    }
+    const rename = mapId === (currentMapInfo && currentMapInfo.id)
+        ? flushWorkspaceSave().then(() => {
+            currentMapInfo.name = name.trim();
+            document.title = `${currentMapInfo.name} - Mind Mapper`;
+            return saveCurrentMap();
+        })
+        : readWorkspaceMap(mapId).then(map => writeWorkspaceMap({ ...map.info, name: name.trim() }, map.data, map.imageIds));
+    rename.then(renderMapsList).catch(reportWorkspaceError);
+}
+
+function duplicateMap(mapId) {
+    flushWorkspaceSave()
+        .then(() => readWorkspaceMap(mapId))
+        .then(map => createWorkspaceMap(`${map.info.name} (copy)`, map.data))
+        .then(renderMapsList)
+        .catch(reportWorkspaceError);
+}
+
+function deleteMap(mapId, name) {
+    if (!confirm(`Delete the map "${name}"? This cannot be undone.`)) {
+        return;
+    }
+    const isCurrent = mapId === (currentMapInfo && currentMapInfo.id);
+    flushWorkspaceSave().then(() => {
+        const transaction = workspaceDb.transaction(['maps', 'images'], 'readwrite');
+        const imageStore = transaction.objectStore('images');
+        transaction.objectStore('maps').delete(mapId);
+        const keysRequest = imageStore.index('mapId').getAllKeys(mapId);
+        keysRequest.onsuccess = () => {
+            keysRequest.result.forEach(imageId => imageStore.delete(imageId));
+        };
+        return transactionToPromise(transaction);
+    }).then(() => {
+        if (!isCurrent) {
+            return;
+        }
+        currentMapInfo = null; // Nothing left to save
+        return listWorkspaceMaps().then(maps => maps.length > 0
+            ? maps[0].id
+            : createWorkspaceMap(UNTITLED_MAP_NAME, { nodes: [], connections: [] })).then(openWorkspaceMap);
+    }).then(renderMapsList).catch(reportWorkspaceError);
+}
+
+function reportWorkspaceError(error) {
+    console.error('Map workspace error:', error);
+    alert(`Error: ${error.message}`);
+}
+
+const mapsDialog = document.getElementById('maps-dialog');
+const mapsList = document.getElementById('maps-list');
+
+function renderMapsList() {
+    if (!workspaceDb) {
+        mapsList.replaceChildren();
+        return Promise.resolve();
+    }
+    return flushWorkspaceSave().then(listWorkspaceMaps).then(maps => {
+        mapsList.replaceChildren(...maps.map(map => {
+            const item = document.createElement('li');
+            if (currentMapInfo && map.id === currentMapInfo.id) {
+                item.classList.add('current');
+            }
+            const openButton = document.createElement('button');
+            openButton.className = 'map-name';
+            openButton.textContent = map.name;
+            openButton.title = `${map.nodeCount} nodes, changed ${new Date(map.updatedAt).toLocaleString()}`;
+            openButton.addEventListener('click', () => {
+                openWorkspaceMap(map.id).then(closeMapsDialog).catch(reportWorkspaceError);
+            });
+
+            const actions = [
+                ['Rename', () => renameMap(map.id, map.name)],
+                ['Duplicate', () => duplicateMap(map.id)],
+                ['Delete', () => deleteMap(map.id, map.name)]
+            ].map(([label, action]) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.addEventListener('click', action);
+                return button;
+            });
+            item.append(openButton, ...actions);
+            return item;
+        }));
+    });
+}
+
+function openMapsDialog() {
+    mapsDialog.classList.remove('hidden');
+    renderMapsList().catch(reportWorkspaceError);
+}
+
+function closeMapsDialog() {
+    mapsDialog.classList.add('hidden');
+}
+
+document.getElementById('maps-new').addEventListener('click', createNewMap);
+const ignoreSavedViewCheckbox = document.getElementById('maps-ignore-view');
+ignoreSavedViewCheckbox.checked = ignoreSavedView;
+ignoreSavedViewCheckbox.addEventListener('change', () => {
+    ignoreSavedView = ignoreSavedViewCheckbox.checked;
+    localStorage.setItem('mindmapIgnoreSavedView', String(ignoreSavedView));
+});
+document.getElementById('maps-close').addEventListener('click', closeMapsDialog);
+
+// Don't lose the last changes when the tab is closed or hidden
+window.addEventListener('pagehide', flushWorkspaceSave);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        flushWorkspaceSave();
+    }
+});
+
+// Collaboration: a map is shared through the relay server in collab-server.js. Every property of
+// every node and relationship, each node's parent link and each map-wide setting is a register
+// that keeps the write with the highest Lamport clock, so edits merge to the same map everywhere
+// in whatever order they arrive. Undo only reverts the user's own writes that nobody overwrote.
+const COLLAB_DEFAULT_SERVER = 'ws://localhost:8765/collab';
+const COLLAB_PRESENCE_INTERVAL = 50; // ms between pointer and selection updates sent to others
+const COLLAB_RECONNECT_DELAY = 3000; // ms before reconnecting after the connection dropped
+const COLLAB_COLORS = ['#e53935', '#8e24aa', '#1e88e5', '#00897b', '#43a047', '#fb8c00', '#6d4c41', '#d81b60'];
+const COLLAB_STATUS_TEXTS = {
+    connecting: 'Connecting…',
+    opening: 'Opening the shared map…',
+    joined: 'Connected. Undo only undoes your own changes.',
+    reconnecting: 'Connection lost. Reconnecting…'
+};
+const collabDialog = document.getElementById('collab-dialog');
+const collabServerInput = document.getElementById('collab-server');
+const collabRoomInput = document.getElementById('collab-room');
+const collabNameInput = document.getElementById('collab-name');
+const collabStatus = document.getElementById('collab-status');
+const collabPeopleList = document.getElementById('collab-people');
+const collabJoinButton = document.getElementById('collab-join');
+const collabLeaveButton = document.getElementById('collab-leave');
+const shareButton = document.getElementById('share-button');
+
+// The server serves the app too, so a page loaded over http normally talks to its own host
+function getDefaultCollabServer() {
+    if (location.protocol === 'http:' || location.protocol === 'https:') {
+        return `${location.protocol === 'https:' ? 'wss:' : 'ws:'}//${location.host}/collab`;
+    }
+    return COLLAB_DEFAULT_SERVER;
+}
+
+function getCollabRegisterKey(op) {
+    return `${op.kind}:${op.id}:${op.prop}`;
+}
+
+// Same rule as isNewerOp() in collab-server.js: the higher clock wins, ties go to the higher client id
+function isNewerCollabOp(op, current) {
+    return !current || op.clock > current.clock || (op.clock === current.clock && op.client > current.client);
+}
+
+function getCollaboratorColor(client) {
+    let hash = 0;
+    for (const character of client) {
+        hash = (hash * 31 + character.codePointAt(0)) >>> 0;
+    }
+    return COLLAB_COLORS[hash % COLLAB_COLORS.length];
+}
+
+// Turns recorded changes (see diffHistorySnapshots()) into register writes. Deleting a record
+// writes its `deleted` register; a node's parent link is the `parent` register of the child.
+function getCollabOpsForChanges(changes) {
+    const ops = [];
+    const write = (kind, id, prop, value) => {
+        ops.push({ kind: kind, id: id, prop: prop, value: value === undefined ? null : value });
+    };
+    [['node', changes.nodes], ['relationship', changes.relationships]].forEach(([kind, recordChanges]) => {
+        recordChanges.forEach(change => {
+            if (!change.after) {
+                write(kind, change.id, 'deleted', true);
+                return;
+            }
+            Object.entries(change.after).forEach(([prop, value]) => {
+                // New records also carry the properties that are never saved, such as the Image object
+                if (prop !== 'id' && (change.before || value !== undefined)) {
+                    write(kind, change.id, prop, value);
+                }
+            });
+            if (!change.before) {
+                write(kind, change.id, 'deleted', false);
+            }
+        });
+    });
+    const parentLinks = new Map(); // Child id -> { from, color, width, dash }, or null for none
+    changes.removedConnections.forEach(conn => parentLinks.set(conn.to, null));
+    changes.addedConnections.forEach(conn => {
+        const { to, ...link } = conn;
+        parentLinks.set(to, link);
+    });
+    parentLinks.forEach((link, id) => write('node', id, 'parent', link));
+    ['branches', 'tags', 'presentation'].forEach(prop => {
+        if (changes[prop]) {
+            write('map', 'map', prop, changes[prop].after);
+        }
+    });
+    return ops;
+}
+
+// Writes that recreate the whole map, for a room that is still empty
+function getCollabOpsForMap() {
+    const empty = { nodes: [], connections: [], relationships: [], branches: null, tags: null, presentation: [] };
+    const changes = diffHistorySnapshots(empty, takeHistorySnapshot());
+    return changes ? getCollabOpsForChanges(changes) : [];
+}
+
+function sendCollabMessage(message) {
+    if (collab.socket && collab.socket.readyState === WebSocket.OPEN) {
+        collab.socket.send(JSON.stringify(message));
+    }
+}
+
+// Stamps local writes with the next clock and sends them; writes made while the connection
+// is down are sent when it comes back
+function sendCollabOps(ops) {
+    if (ops.length === 0) {
+        return;
+    }
+    const clock = ++collab.clock;
+    ops.forEach(op => {
+        op.clock = clock;
+        op.client = collab.client;
+        collab.registers.set(getCollabRegisterKey(op), op);
+    });
+    if (collab.status === 'joined') {
+        sendCollabMessage({ type: 'ops', ops: ops });
+    }
+}
+
+function sendCollabChanges(changes) {
+    // Until the room's map is known, local edits belong to a map that is not shared
+    if (changes && collab.synced && collab.status !== 'opening') {
+        sendCollabOps(getCollabOpsForChanges(changes));
+    }
+}
+
+// Parent links from the `parent` registers of live nodes. Links to deleted nodes are dropped,
+// and where concurrent moves made a cycle its most recently written link is dropped, which
+// every copy of the map agrees on.
+function getCollabConnections(liveIds) {
+    const links = new Map(); // Child id -> winning `parent` write
+    collab.registers.forEach(op => {
+        if (op.kind === 'node' && op.prop === 'parent' && op.value && liveIds.has(op.id) && liveIds.has(op.value.from)) {
+            links.set(op.id, op);
+        }
+    });
+    [...links.keys()].forEach(childId => {
+        const path = [];
+        const onPath = new Set();
+        let id = childId;
+        while (links.has(id) && !onPath.has(id)) {
+            path.push(id);
+            onPath.add(id);
+            id = links.get(id).value.from;
+        }
+        if (onPath.has(id)) {
+            const cycle = path.slice(path.indexOf(id));
+            links.delete(cycle.reduce((newest, candidate) =>
+                isNewerCollabOp(links.get(candidate), links.get(newest)) ? candidate : newest));
+        }
+    });
+    return [...links].map(([to, op]) => ({ ...op.value, from: String(op.value.from), to: to }));
+}
+
+// Rebuilds the hierarchy from the registers, which resolves parent links that conflict
+function syncCollabConnections() {
+    if (!collab.synced) {
+        return;
+    }
+    connections = getCollabConnections(new Set(nodes.map(node => node.id)));
+    if (historyBaseline) {
+        historyBaseline.connections = connections.map(conn => ({ ...conn }));
+    }
+}
+
+// The map as the room's registers describe it, in the format of map files
+function getCollabMapData() {
+    const records = { node: new Map(), relationship: new Map() };
+    const settings = {};
+    collab.registers.forEach(op => {
+        if (op.kind === 'map') {
+            settings[op.prop] = op.value;
+            return;
+        }
+        if (!records[op.kind].has(op.id)) {
+            records[op.kind].set(op.id, { id: op.id });
+        }
+        records[op.kind].get(op.id)[op.prop] = op.value;
+    });
+    const getLiveRecords = list => [...list.values()]
+        .filter(record => record.deleted === false)
+        .map(({ deleted, parent, ...record }) => record);
+    const mapNodes = getLiveRecords(records.node);
+    return migrateMapData({
+        version: MAP_FORMAT_VERSION,
+        nodes: mapNodes,
+        connections: getCollabConnections(new Set(mapNodes.map(node => node.id))),
+        relationships: getLiveRecords(records.relationship),
+        branches: settings.branches,
+        tags: settings.tags,
+        presentation: settings.presentation
+    });
+}
+
+function cloneCollabValue(value) {
+    return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Merges writes from others into the map. Writes older than what is already known are ignored;
+// the rest change the live map, the history baseline and the recorded steps, so that undo
+// neither reverts nor is confused by them.
+function applyCollabOps(ops) {
+    ops.forEach(op => {
+        collab.clock = Math.max(collab.clock, op.clock); // Later local writes must win over these
+    });
+    if (textEditing && selectedNode && ops.some(op => op.kind === 'node' && op.id === selectedNode.id)) {
+        commitTextEditing(); // Keeps the typed text; it is written after, so it wins
+    }
+    const winners = ops.filter(op => {
+        const key = getCollabRegisterKey(op);
+        if (isNewerCollabOp(op, collab.registers.get(key))) {
+            collab.registers.set(key, op);
+            return true;
+        }
+        return false;
+    });
+    if (winners.length === 0) {
+        return;
+    }
+
+    const removedIds = { node: new Set(), relationship: new Set() };
+    const createdIds = { node: new Set(), relationship: new Set() };
+    let hierarchyChanged = false;
+    winners.forEach(op => {
+        if (op.kind === 'map') {
+            if (op.prop === 'branches') {
+                branchSettings = normalizeBranchSettings(op.value);
+            } else if (op.prop === 'tags') {
+                tagDefinitions = normalizeTagDefinitions(op.value);
+            } else if (op.prop === 'presentation') {
+                presentationPath = (Array.isArray(op.value) ? op.value : []).map(String);
+            }
+            return;
+        }
+        if (op.prop === 'parent' || op.prop === 'deleted') {
+            hierarchyChanged = true;
+        }
+        if (op.prop === 'deleted') {
+            const exists = op.kind === 'node' ? !!getNodeById(op.id) : !!getRelationshipById(op.id);
+            if (op.value && exists) {
+                removedIds[op.kind].add(op.id);
+            } else if (!op.value && !exists) {
+                createdIds[op.kind].add(op.id);
             }
-            break;
+            return;
         }
+        const record = op.kind === 'node' ? getNodeById(op.id) : getRelationshipById(op.id);
+        if (record && op.prop !== 'parent' && op.prop !== 'id' && op.prop !== 'image') {
+            record[op.prop] = cloneCollabValue(op.value);
+            if (op.kind === 'node' && op.prop === 'imageDataURL') {
+                record.image = null;
+                if (record.imageDataURL) {
+                    loadNodeImage(record);
+                }
+            }
+        }
+    });
+
+    // New records are built from all their registers, which may have arrived earlier
+    const createdRecords = { node: new Map(), relationship: new Map() };
+    if (createdIds.node.size > 0 || createdIds.relationship.size > 0) {
+        collab.registers.forEach(op => {
+            if (op.kind !== 'map' && createdIds[op.kind].has(op.id) && !['id', 'image', 'parent', 'deleted'].includes(op.prop)) {
+                if (!createdRecords[op.kind].has(op.id)) {
+                    createdRecords[op.kind].set(op.id, {});
+                }
+                createdRecords[op.kind].get(op.id)[op.prop] = cloneCollabValue(op.value);
+            }
+        });
     }
-
-    if (!clickedOnNode) {
-        selectedNode = null;
-        textEditing = false;
-        if (e.button === 1) { // Middle click
-            panning = true;
+    nodes = nodes.filter(node => !removedIds.node.has(node.id));
+    createdIds.node.forEach(id => {
+        const node = { ...createNode(0, 0), ...createdRecords.node.get(id), id: id, image: null };
+        nodes.push(node);
+        if (node.imageDataURL) {
+            loadNodeImage(node);
         }
-    }
-    lastMousePos = mousePos;
-});
-
-canvas.addEventListener('mousemove', (e) => {
-    const mousePos = { x: e.clientX, y: e.clientY };
-    if (draggingNode) {
-        const worldPos = screenToWorld(mousePos.x, mousePos.y);
-        const dx = worldPos.x - draggingNodeInitialPos.x;
-        const dy = worldPos.y - draggingNodeInitialPos.y;
-
-        draggingNode.x = worldPos.x;
-        draggingNode.y = worldPos.y;
+    });
+    relationships = relationships.filter(relationship => !removedIds.relationship.has(relationship.id));
+    createdIds.relationship.forEach(id => {
+        relationships.push({ label: '', direction: 'forward', ...createdRecords.relationship.get(id), id: id });
+    });
+    invalidateGraphIndex(); // Properties changed in place
 
-        // Move descendants with the dragging node
-        draggedDescendantOffsets.forEach((offset, descendant) => {
-            descendant.x = draggingNode.x + offset.dx;
-            descendant.y = draggingNode.y + offset.dy;
+    // The baseline takes the same writes, so the next saveState() does not record them as own changes
+    if (historyBaseline) {
+        const baselineNodes = new Map(historyBaseline.nodes.map(record => [record.id, record]));
+        const baselineRelationships = new Map(historyBaseline.relationships.map(record => [record.id, record]));
+        winners.forEach(op => {
+            const record = op.kind === 'node' ? baselineNodes.get(op.id) : baselineRelationships.get(op.id);
+            if (record && op.prop !== 'parent' && op.prop !== 'deleted' && op.prop !== 'id' && op.prop !== 'image') {
+                record[op.prop] = op.value;
+            }
         });
+        historyBaseline.nodes = historyBaseline.nodes.filter(record => !removedIds.node.has(record.id));
+        createdIds.node.forEach(id => historyBaseline.nodes.push(serializeNode(getNodeById(id))));
+        historyBaseline.relationships = historyBaseline.relationships.filter(record => !removedIds.relationship.has(record.id));
+        createdIds.relationship.forEach(id => historyBaseline.relationships.push({ ...getRelationshipById(id) }));
+        historyBaseline.branches = { ...branchSettings };
+        historyBaseline.tags = tagDefinitions.map(definition => ({ ...definition }));
+        historyBaseline.presentation = presentationPath.slice();
+    }
+    if (hierarchyChanged) {
+        syncCollabConnections();
+    }
+    forgetOverwrittenHistoryChanges(winners);
 
-    } else if (panning) {
-        const dx = mousePos.x - lastMousePos.x;
-        const dy = mousePos.y - lastMousePos.y;
-        camera.x -= dx / camera.zoom;
-        camera.y -= dy / camera.zoom;
-    } else if (drawingConnection) {
-        lastMousePos = mousePos;
+    // Drop references to nodes and relationships others deleted
+    const liveSelection = [...selectedNodes].filter(node => getNodeById(node.id) === node);
+    if (liveSelection.length !== selectedNodes.size) {
+        selectedNodes = new Set(liveSelection);
+        selectedNode = selectedNodes.has(selectedNode) ? selectedNode : liveSelection[liveSelection.length - 1] || null;
     }
-    lastMousePos = mousePos;
-    draw();
-});
+    if (selectedRelationship && getRelationshipById(selectedRelationship.id) !== selectedRelationship) {
+        selectedRelationship = null;
+    }
+    if (!searchBar.classList.contains('hidden')) {
+        updateSearchResults();
+    }
+    scheduleWorkspaceSave();
+    renderTagsPanel();
+    renderPresentationPath();
+    requestDraw();
+}
 
-canvas.addEventListener('mouseup', (e) => {
-    if (e.button === 2 && drawingConnection) {
-        const worldPos = screenToWorld(e.clientX, e.clientY);
-        const endNode = nodes.find(node => {
-            const dx = worldPos.x - node.x;
-            const dy = worldPos.y - node.y;
-            return dx * dx + dy * dy < NODE_RADIUS * NODE_RADIUS;
+// Removes what others overwrote from the recorded steps, so undo and redo only touch the
+// user's own changes that still stand. Records that were created or deleted keep the new
+// values, so undoing their deletion brings them back as they are now.
+function forgetOverwrittenHistoryChanges(ops) {
+    const overwritten = new Map(); // 'kind:id' -> Map of property -> new value
+    ops.forEach(op => {
+        const key = `${op.kind}:${op.id}`;
+        if (!overwritten.has(key)) {
+            overwritten.set(key, new Map());
+        }
+        overwritten.get(key).set(op.prop, op.value);
+    });
+    const keepChange = kind => change => {
+        const props = overwritten.get(`${kind}:${change.id}`);
+        if (!props) {
+            return true;
+        }
+        const isWholeRecord = !change.before || !change.after;
+        if (isWholeRecord && props.has('deleted')) {
+            return false; // Whether the record exists is now someone else's change
+        }
+        props.forEach((value, prop) => {
+            if (prop === 'deleted' || prop === 'parent') {
+                return;
+            }
+            if (isWholeRecord) {
+                (change.before || change.after)[prop] = value;
+            } else {
+                delete change.before[prop];
+                delete change.after[prop];
+            }
         });
-
-        if (endNode && endNode !== connectionStartNode) {
-            const startIdx = nodes.indexOf(connectionStartNode);
-            const endIdx = nodes.indexOf(endNode);
-            if (!connections.some(c => (c[0] === startIdx && c[1] === endIdx) || (c[0] === endIdx && c[1] === startIdx))) {
-                connections.push([startIdx, endIdx]);
+        return isWholeRecord || Object.keys(change.after).length > 0;
+    };
+    const keepConnection = conn => {
+        const props = overwritten.get(`node:${conn.to}`);
+        return !props || !props.has('parent');
+    };
+    const mapProps = overwritten.get('map:map');
+    const pointer = historyPointer;
+    history = history.filter((entry, index) => {
+        const changes = entry.changes;
+        if (!changes) {
+            return true;
+        }
+        changes.nodes = changes.nodes.filter(keepChange('node'));
+        changes.relationships = changes.relationships.filter(keepChange('relationship'));
+        changes.addedConnections = changes.addedConnections.filter(keepConnection);
+        changes.removedConnections = changes.removedConnections.filter(keepConnection);
+        if (mapProps) {
+            mapProps.forEach((value, prop) => {
+                changes[prop] = null;
+            });
+        }
+        // Steps left with nothing of the user's own are dropped, so undo never seems to do nothing
+        if (index > 0 && !hasHistoryChanges(changes)) {
+            if (index <= pointer) {
+                historyPointer--;
             }
+            return false;
         }
-    } else if (draggingNode) { // Handle reparenting on left-click drag release
-        const mousePos = { x: e.clientX, y: e.clientY };
-        const worldPos = screenToWorld(mousePos.x, mousePos.y);
-        let dropTargetNode = null;
+        return true;
+    });
+    renderHistoryPanel();
+}
 
-        for (let i = nodes.length - 1; i >= 0; i--) {
-            const node = nodes[i];
-            if (node === draggingNode) continue; // Cannot reparent to self
+function setCollabPeer(presence) {
+    if (!presence || typeof presence.client !== 'string' || presence.client === collab.client) {
+        return;
+    }
+    const isNew = !collab.peers.has(presence.client);
+    const cursor = presence.cursor;
+    collab.peers.set(presence.client, {
+        client: presence.client,
+        name: String(presence.name || 'Guest'),
+        color: getCollaboratorColor(presence.client),
+        cursor: cursor && Number.isFinite(cursor.x) && Number.isFinite(cursor.y) ? { x: cursor.x, y: cursor.y } : null,
+        selection: Array.isArray(presence.selection) ? presence.selection.map(String) : []
+    });
+    if (isNew) {
+        renderCollabDialog();
+    }
+    requestDraw();
+}
 
-            const dx = worldPos.x - node.x;
-            const dy = worldPos.y - node.y;
-            if (dx * dx + dy * dy < NODE_RADIUS * NODE_RADIUS) {
-                dropTargetNode = node;
-                break;
-            }
+// Sends the pointer position and selection when they changed, at most every COLLAB_PRESENCE_INTERVAL ms
+function updateCollabPresence() {
+    if (!collab || collab.status !== 'joined' || collab.presenceTimer !== null) {
+        return;
+    }
+    const session = collab;
+    session.presenceTimer = setTimeout(() => {
+        session.presenceTimer = null;
+        if (collab !== session || session.status !== 'joined') {
+            return;
         }
+        const cursor = screenToWorld(lastMousePos.x, lastMousePos.y);
+        const presence = {
+            type: 'presence',
+            name: session.name,
+            cursor: { x: Math.round(cursor.x), y: Math.round(cursor.y) },
+            selection: [...selectedNodes].map(node => node.id)
+        };
+        const key = JSON.stringify(presence);
+        if (key !== session.presenceKey) {
+            session.presenceKey = key;
+            sendCollabMessage(presence);
+        }
+    }, COLLAB_PRESENCE_INTERVAL);
+}
 
-        if (dropTargetNode) {
-            const draggingNodeIndex = nodes.indexOf(draggingNode);
-            const dropTargetNodeIndex = nodes.indexOf(dropTargetNode);
-
-            // Prevent reparenting if target is a descendant of the dragged node
-            if (!isDescendant(draggingNode, dropTargetNode)) {
-                // Remove existing parent connection for draggingNode
-                connections = connections.filter(conn => conn[1] !== draggingNodeIndex);
+// Outlines the nodes others have selected and shows their pointers, each in their own colour
+function drawCollaborators() {
+    if (!collab) {
+        return;
+    }
+    collab.peers.forEach(peer => {
+        ctx.save();
+        ctx.strokeStyle = peer.color;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([6, 4]);
+        peer.selection.forEach(id => {
+            const node = getNodeById(id);
+            if (node && isNodeVisible(node)) {
+                const screenPos = worldToScreen(node.x, node.y);
+                const geometry = getNodeGeometry(node);
+                ctx.beginPath();
+                getNodeShape(node).trace(screenPos.x, screenPos.y,
+                    geometry.halfWidth * camera.zoom + 6, geometry.halfHeight * camera.zoom + 6);
+                ctx.stroke();
+            }
+        });
+        ctx.setLineDash([]);
+        if (peer.cursor) {
+            const pos = worldToScreen(peer.cursor.x, peer.cursor.y);
+            ctx.fillStyle = peer.color;
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(pos.x, pos.y);
+            ctx.lineTo(pos.x, pos.y + 17);
+            ctx.lineTo(pos.x + 4.5, pos.y + 12.5);
+            ctx.lineTo(pos.x + 11.5, pos.y + 12);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
 
-                // Add new connection from dropTargetNode to draggingNode
-                connections.push([dropTargetNodeIndex, draggingNodeIndex]);
+            ctx.font = `500 12px ${theme.font}`;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            const labelWidth = ctx.measureText(peer.name).width + 10;
+            ctx.fillRect(pos.x + 10, pos.y + 18, labelWidth, 18);
+            ctx.fillStyle = getReadableTextColor(peer.color);
+            ctx.fillText(peer.name, pos.x + 15, pos.y + 27);
+        }
+        ctx.restore();
+    });
+}
 
-                // Ensure the reparented node is a 'child' type and pink
-                draggingNode.type = 'child';
-                draggingNode.color = '#FF69B4';
-            }
+function handleCollabMessage(message) {
+    if (message.type === 'welcome') {
+        handleCollabWelcome(message);
+    } else if (message.type === 'ops' && Array.isArray(message.ops)) {
+        if (collab.status === 'opening') {
+            collab.pendingOps.push(...message.ops);
+        } else if (collab.status === 'joined') {
+            applyCollabOps(message.ops);
         }
+    } else if (message.type === 'presence') {
+        setCollabPeer(message);
+    } else if (message.type === 'leave') {
+        collab.peers.delete(message.client);
+        renderCollabDialog();
+        requestDraw();
     }
+}
 
-    draggingNode = null;
-    panning = false;
-    drawingConnection = false;
-    connectionStartNode = null;
-    draw();
-    saveState();
-});
-
-// Helper function to check if a node is a descendant of another
-function isDescendant(potentialParent, potentialChild) {
-    const parentIndex = nodes.indexOf(potentialParent);
-    const childIndex = nodes.indexOf(potentialChild);
+// The server answers a join with every register of the room and who is there
+function handleCollabWelcome(message) {
+    const session = collab;
+    const ops = Array.isArray(message.ops) ? message.ops : [];
+    session.peers.clear();
+    (message.peers || []).forEach(setCollabPeer);
 
-    if (parentIndex === -1 || childIndex === -1) {
-        return false; // One or both nodes not found
+    if (session.synced) {
+        // Back after the connection dropped: take what changed meanwhile and send what the room missed
+        const roomRegisters = new Map(ops.map(op => [getCollabRegisterKey(op), op]));
+        session.status = 'joined';
+        applyCollabOps(ops);
+        const missed = [...session.registers].filter(([key, op]) => isNewerCollabOp(op, roomRegisters.get(key)));
+        if (missed.length > 0) {
+            sendCollabMessage({ type: 'ops', ops: missed.map(([, op]) => op) });
+        }
+    } else if (ops.length === 0) {
+        // An empty room starts out with the open map
+        session.synced = true;
+        session.status = 'joined';
+        sendCollabOps(getCollabOpsForMap());
+    } else {
+        // The room already has a map: open it as a new map, leaving the current one as it is
+        session.status = 'opening';
+        session.registers = new Map();
+        ops.forEach(op => {
+            session.clock = Math.max(session.clock, op.clock);
+            const key = getCollabRegisterKey(op);
+            if (isNewerCollabOp(op, session.registers.get(key))) {
+                session.registers.set(key, op);
+            }
+        });
+        openSharedMap(getCollabMapData()).then(() => {
+            if (collab !== session) {
+                return;
+            }
+            session.synced = true;
+            session.status = 'joined';
+            const pendingOps = session.pendingOps;
+            session.pendingOps = [];
+            applyCollabOps(pendingOps);
+            zoomToFit();
+            renderCollabDialog();
+        }).catch(error => {
+            console.error('Error opening the shared map:', error);
+            alert(`Error opening the shared map: ${error.message}`);
+            leaveCollaboration();
+        });
     }
+    renderCollabDialog();
+    requestDraw();
+}
 
-    // Use a breadth-first search (BFS) to find all descendants of potentialParent
-    const queue = [parentIndex];
-    const visited = new Set();
-    visited.add(parentIndex);
-
-    let head = 0;
-    while (head < queue.length) {
-        const currentIdx = queue[head++];
+function openSharedMap(data) {
+    const name = `Shared: ${collab.room}`;
+    if (workspaceDb) {
+        return createWorkspaceMap(name, data).then(openWorkspaceMap);
+    }
+    // Without a workspace the shared map replaces the open one
+    return Promise.resolve().then(() => {
+        applyMapData(data);
+        clearSelection();
+        document.title = `${name} - Mind Mapper`;
+        resetHistory();
+        saveState();
+        draw();
+    });
+}
 
-        // If the current node is the potentialChild, then potentialChild is a descendant
-        if (currentIdx === childIndex) {
-            return true;
+function connectCollab() {
+    const session = collab;
+    let socket;
+    try {
+        socket = new WebSocket(session.server);
+    } catch (error) {
+        console.error('Error connecting to the collaboration server:', error);
+        alert(`Could not connect to ${session.server}: ${error.message}`);
+        leaveCollaboration();
+        return;
+    }
+    session.socket = socket;
+    session.status = session.synced ? 'reconnecting' : 'connecting';
+    socket.onopen = () => {
+        session.presenceKey = null;
+        socket.send(JSON.stringify({ type: 'join', room: session.room, client: session.client, name: session.name }));
+    };
+    socket.onmessage = event => {
+        if (collab !== session) {
+            return;
         }
-
-        // Find children of the current node
-        const childrenOfCurrent = connections.filter(c => c[0] === currentIdx).map(c => c[1]);
-        for (const childIdx of childrenOfCurrent) {
-            if (!visited.has(childIdx)) {
-                visited.add(childIdx);
-                queue.push(childIdx);
-            }
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Ignoring a collaboration message that is not JSON:', error);
+            return;
+        }
+        handleCollabMessage(message);
+    };
+    socket.onclose = () => {
+        if (collab !== session) {
+            return;
+        }
+        session.socket = null;
+        session.peers.clear();
+        if (!session.synced) {
+            // Never got in: the server is not running or the address is wrong
+            collab = null;
+            alert(`Could not connect to the collaboration server at ${session.server}. Start it with "node collab-server.js" and check the address.`);
+        } else {
+            session.status = 'reconnecting';
+            session.reconnectTimer = setTimeout(connectCollab, COLLAB_RECONNECT_DELAY);
         }
+        renderCollabDialog();
+        requestDraw();
+    };
+}
+
+function joinCollaboration() {
+    const server = collabServerInput.value.trim();
+    const room = collabRoomInput.value.trim();
+    const name = collabNameInput.value.trim() || 'Guest';
+    if (!/^wss?:\/\//i.test(server)) {
+        alert('Enter the address of the collaboration server, e.g. ws://localhost:8765/collab');
+        return;
     }
-    return false; // potentialChild is not a descendant
+    if (!room) {
+        alert('Enter the name of a room. Everyone who joins the same room edits the same map.');
+        return;
+    }
+    localStorage.setItem('mindmapCollabServer', server);
+    localStorage.setItem('mindmapCollabName', name);
+    commitTextEditing();
+    collab = {
+        server: server,
+        room: room,
+        name: name,
+        client: generateNodeId(), // Also breaks ties between writes with the same clock
+        clock: 0, // Lamport clock: above every clock seen so far
+        registers: new Map(), // Register key -> winning write { kind, id, prop, value, clock, client }
+        peers: new Map(), // Client id -> { client, name, color, cursor, selection } of everyone else in the room
+        status: 'connecting',
+        synced: false, // The registers describe the open map
+        pendingOps: [], // Writes received while the room's map is being opened
+        socket: null,
+        presenceTimer: null,
+        presenceKey: null, // Last presence sent, to skip repeats
+        reconnectTimer: null
+    };
+    connectCollab();
+    renderCollabDialog();
 }
 
-// New helper function to check if a node is visible (not part of a folded subtree)
-function isNodeVisible(node) {
-    if (!node) return false;
-    let currentNode = node;
-    while (currentNode) {
-        const parentConnection = connections.find(c => nodes[c[1]] === currentNode);
-        if (parentConnection) {
-            const parentNode = nodes[parentConnection[0]];
-            if (parentNode && parentNode.folded) {
-                return false; // Parent is folded, so this node is not visible
-            }
-            currentNode = parentNode;
-        } else {
-            break; // No parent, reached the root of a subtree
-        }
+function leaveCollaboration() {
+    if (!collab) {
+        return;
     }
-    return true; // Node is visible
+    const session = collab;
+    collab = null;
+    clearTimeout(session.reconnectTimer);
+    clearTimeout(session.presenceTimer);
+    if (session.socket) {
+        session.socket.close();
+    }
+    renderCollabDialog();
+    requestDraw();
 }
 
-function getAllDescendants(node) {
-    const descendants = new Set();
-    const queue = [node];
-    const visited = new Set();
-    visited.add(node);
+function renderCollabDialog() {
+    const connected = collab !== null;
+    collabServerInput.disabled = connected;
+    collabRoomInput.disabled = connected;
+    collabNameInput.disabled = connected;
+    collabJoinButton.disabled = connected;
+    collabLeaveButton.disabled = !connected;
+    collabStatus.textContent = connected
+        ? COLLAB_STATUS_TEXTS[collab.status]
+        : 'Not connected. Start the server with "node collab-server.js" in the Mind Mapper folder.';
+    shareButton.textContent = connected && collab.status === 'joined' ? `Shared (${collab.peers.size + 1})` : 'Share';
 
-    let head = 0;
-    while (head < queue.length) {
-        const currentNode = queue[head++];
-        const currentNodeIndex = nodes.indexOf(currentNode);
+    collabPeopleList.replaceChildren();
+    if (!connected) {
+        return;
+    }
+    const people = [{ name: `${collab.name} (you)`, color: getCollaboratorColor(collab.client) }, ...collab.peers.values()];
+    people.forEach(person => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'collab-swatch';
+        swatch.style.backgroundColor = person.color;
+        item.append(swatch, document.createTextNode(person.name));
+        collabPeopleList.appendChild(item);
+    });
+}
 
-        const childrenOfCurrent = connections.filter(c => c[0] === currentNodeIndex).map(c => nodes[c[1]]);
-        for (const childNode of childrenOfCurrent) {
-            if (childNode && !visited.has(childNode)) {
-                visited.add(childNode);
-                descendants.add(childNode);
-                queue.push(childNode);
-            }
+function openCollabDialog() {
+    if (!collab) {
+        collabServerInput.value = localStorage.getItem('mindmapCollabServer') || getDefaultCollabServer();
+        collabNameInput.value = localStorage.getItem('mindmapCollabName') || '';
+        if (!collabRoomInput.value) {
+            collabRoomInput.value = currentMapInfo ? currentMapInfo.name.replace(/^Shared: /, '') : '';
         }
     }
-    return Array.from(descendants);
+    renderCollabDialog();
+    collabDialog.classList.remove('hidden');
+    if (!collab) {
+        collabRoomInput.focus();
+    }
 }
 
-function checkCollision(newNodeX, newNodeY, newNodeRadius) {
-    for (const existingNode of nodes) {
-        // Calculate distance between centers
-        const dx = newNodeX - existingNode.x;
-        const dy = newNodeY - existingNode.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+function closeCollabDialog() {
+    collabDialog.classList.add('hidden');
+}
 
-        // Sum of radii
-        const sumOfRadii = newNodeRadius + existingNode.radius; 
+collabJoinButton.addEventListener('click', joinCollaboration);
+collabLeaveButton.addEventListener('click', leaveCollaboration);
+document.getElementById('collab-close').addEventListener('click', closeCollabDialog);
 
-        if (distance < sumOfRadii) {
-            return true; // Collision detected
-        }
-    }
-    return false; // No collision
+const EXPORT_PADDING = 40; // World-space margin around exported maps
+const EXPORT_MAX_CANVAS_SIZE = 16384; // Largest canvas side browsers reliably support
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
 }
 
-canvas.addEventListener('wheel', (e) => {
-    e.preventDefault();
-    const zoomFactor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
-    const mousePos = { x: e.clientX, y: e.clientY };
-    const worldPosBeforeZoom = screenToWorld(mousePos.x, mousePos.y);
-    camera.zoom *= zoomFactor;
-    const worldPosAfterZoom = screenToWorld(mousePos.x, mousePos.y);
-    camera.x += worldPosBeforeZoom.x - worldPosAfterZoom.x;
-    camera.y += worldPosBeforeZoom.y - worldPosAfterZoom.y;
-    draw();
-});
+// Minimal stand-in for CanvasRenderingContext2D that records the calls drawNode()
+// and drawConnections() make as SVG elements, so exports stay true vectors.
+class SvgRenderContext {
+    constructor(width, height) {
+        this.canvas = { width: width, height: height };
+        this.elements = [];
+        this.path = '';
+        this.hasCurrentPoint = false;
+        this.stateStack = [];
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.lineDash = [];
+        this.shadowBlur = 0; // Shadows are not exported
+        this.shadowColor = 'transparent';
+        this.measureContext = document.createElement('canvas').getContext('2d');
+    }
 
-canvas.addEventListener('dblclick', (e) => {
-    if (!selectedNode) { // Only create a new node if no node is currently selected
-        const worldPos = screenToWorld(e.clientX, e.clientY);
-        nodes.push({
-            x: worldPos.x,
-            y: worldPos.y,
-            text: 'Father Node',
-            type: 'father',
-            shape: 'circle',
-            color: NODE_COLOR,
-            radius: NODE_RADIUS, // Add radius property
-            url: null,
-            folded: false, // New property for folding/unfolding
-            image: null, // Will store the actual Image object
-            imageDataURL: null, // Will store the Data URL string for saving
-            imageScale: 1.0 // New property for image scaling
+    save() {
+        this.stateStack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            globalAlpha: this.globalAlpha,
+            lineDash: this.lineDash
         });
-        selectedNode = nodes[nodes.length - 1];
-        textEditing = true;
-        isFirstKeyAfterSelection = true;
-        draw();
-        saveState();
     }
-});
 
-window.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
-        nodes = [];
-        connections = [];
-        selectedNode = null;
-        draggingNode = null;
-        panning = false;
-        drawingConnection = false;
-        connectionStartNode = null;
-        textEditing = false;
-        // Re-initialize the single father node in the center
-        nodes.push({
-            x: 0,
-            y: 0,
-            text: 'Father Node',
-            type: 'father',
-            shape: 'circle',
-            color: NODE_COLOR,
-            radius: NODE_RADIUS, // Add radius property
-            url: null,
-            folded: false, // New property for folding/unfolding
-            image: null, // Will store the actual Image object
-            imageDataURL: null, // Will store the Data URL string for saving
-            imageScale: 1.0 // New property for image scaling
-        });
-        draw();
-        saveState(); // Save state after clearing and re-initializing
-        location.reload(); // Auto-refresh the page
-        return; // Stop further execution
+    restore() {
+        const state = this.stateStack.pop();
+        if (state) {
+            Object.assign(this, state);
+        }
     }
 
-    if (e.key === 'Tab' && selectedNode) {
-        e.preventDefault(); // Prevent default tab behavior
-        const parentNode = selectedNode;
-        let newX = parentNode.x + NODE_RADIUS * 2.5;
-        let newY = parentNode.y;
+    measureText(text) {
+        this.measureContext.font = this.font;
+        return this.measureContext.measureText(text);
+    }
 
-        // Adjust position to avoid overlap
-        let attempts = 0;
-        const maxAttempts = 100; // Prevent infinite loops
-        const shiftAmount = NODE_RADIUS * 1.5; // Amount to shift if collision occurs
+    beginPath() {
+        this.path = '';
+        this.hasCurrentPoint = false;
+    }
 
-        while (checkCollision(newX, newY, NODE_RADIUS) && attempts < maxAttempts) {
-            newY += shiftAmount;
-            attempts++;
-        }
+    closePath() {
+        this.path += 'Z ';
+    }
 
-        const newNode = {
-            x: newX,
-            y: newY,
-            text: 'Child Node',
-            type: 'child',
-            shape: 'square',
-            color: selectedNode.color, // Inherit color from parent
-            radius: NODE_RADIUS, // Add radius property
-            url: null,
-            folded: false, // New property for folding/unfolding
-            image: null, // Will store the actual Image object
-            imageDataURL: null, // Will store the Data URL string for saving
-            imageScale: 1.0 // New property for image scaling
-        };
-        nodes.push(newNode);
-        const parentIndex = nodes.indexOf(parentNode);
-        const newIndex = nodes.length - 1;
-        connections.push([parentIndex, newIndex]);
-        selectedNode = newNode;
-        textEditing = true;
-        draw();
-        saveState();
-        return; // Stop further execution
+    moveTo(x, y) {
+        this.path += `M ${x} ${y} `;
+        this.hasCurrentPoint = true;
     }
 
-    if (e.key === 'Enter' && selectedNode) {
-        e.preventDefault(); // Prevent default Enter behavior (e.g., new line in input fields)
-        textEditing = false; // Always stop text editing on Enter
-        
-        // Create sibling node logic
-        const parentConnection = connections.find(c => nodes[c[1]] === selectedNode);
-        if (parentConnection) {
-            let newX = selectedNode.x;
-            let newY = selectedNode.y + NODE_RADIUS * 1.5;
-
-            // Adjust position to avoid overlap
-            let attempts = 0;
-            const maxAttempts = 100; // Prevent infinite loops
-            const shiftAmount = NODE_RADIUS * 1.5; // Amount to shift if collision occurs
-
-            while (checkCollision(newX, newY, NODE_RADIUS) && attempts < maxAttempts) {
-                newY += shiftAmount;
-                attempts++;
-            }
-
-            const parentNode = nodes[parentConnection[0]];
-            const newNode = {
-                x: newX,
-                y: newY,
-                text: 'Child Node',
-                type: 'child',
-                shape: 'square',
-                color: selectedNode.color, // Inherit color from parent
-                url: null,
-                radius: NODE_RADIUS, // Add radius property
-                shape: 'square', // Added shape property
-                folded: false // New property for folding/unfolding
-            };
-            nodes.push(newNode);
-            const parentIndex = nodes.indexOf(parentNode);
-            const newIndex = nodes.length - 1;
-            connections.push([parentIndex, newIndex]);
-            selectedNode = newNode; // Select the new node
-            textEditing = true; // Start editing the new node
-            saveState();
-        }
-        draw();
-        return; // Stop further execution
+    lineTo(x, y) {
+        this.path += `${this.hasCurrentPoint ? 'L' : 'M'} ${x} ${y} `;
+        this.hasCurrentPoint = true;
     }
 
-    if (e.key === 'Delete' && selectedNode && e.ctrlKey) {
-        e.preventDefault();
-        if (selectedNode.image || selectedNode.imageDataURL) {
-            selectedNode.image = null;
-            selectedNode.imageDataURL = null;
-            draw();
-            saveState();
-        }
-        return;
+    bezierCurveTo(control1X, control1Y, control2X, control2Y, x, y) {
+        this.path += `C ${control1X} ${control1Y} ${control2X} ${control2Y} ${x} ${y} `;
+        this.hasCurrentPoint = true;
     }
 
-    if (e.key === 'Delete' && selectedNode) {
-        e.preventDefault();
-        const nodesToDelete = new Set();
-        const queue = [selectedNode];
-        nodesToDelete.add(selectedNode);
-
-        // Find all descendants
-        let head = 0;
-        while(head < queue.length) {
-            const currentNode = queue[head++];
-            const currentNodeIndex = nodes.indexOf(currentNode);
-            
-            // Find children of the current node
-            const childConnections = connections.filter(c => c[0] === currentNodeIndex);
-            childConnections.forEach(conn => {
-                const childNode = nodes[conn[1]];
-                if (childNode && !nodesToDelete.has(childNode)) {
-                    nodesToDelete.add(childNode);
-                    queue.push(childNode);
-                }
-            });
-        }
+    quadraticCurveTo(controlX, controlY, x, y) {
+        this.path += `Q ${controlX} ${controlY} ${x} ${y} `;
+        this.hasCurrentPoint = true;
+    }
 
-        // Filter out deleted nodes and update connections
-        const newNodes = [];
-        const oldIndexToNewIndexMap = new Map();
-        let newIndex = 0;
-        for (let i = 0; i < nodes.length; i++) {
-            if (!nodesToDelete.has(nodes[i])) {
-                newNodes.push(nodes[i]);
-                oldIndexToNewIndexMap.set(i, newIndex++);
-            }
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+
+    getLineDash() {
+        return this.lineDash.slice();
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const startX = x + radius * Math.cos(startAngle);
+        const startY = y + radius * Math.sin(startAngle);
+        this.lineTo(startX, startY);
+
+        const sweepFlag = counterclockwise ? 0 : 1;
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        if (sweep >= Math.PI * 2) {
+            // SVG cannot draw a full circle with one arc command, so draw two halves
+            const midX = x - radius * Math.cos(startAngle);
+            const midY = y - radius * Math.sin(startAngle);
+            this.path += `A ${radius} ${radius} 0 1 ${sweepFlag} ${midX} ${midY} `;
+            this.path += `A ${radius} ${radius} 0 1 ${sweepFlag} ${startX} ${startY} `;
+            return;
         }
+        sweep = ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+        const endX = x + radius * Math.cos(endAngle);
+        const endY = y + radius * Math.sin(endAngle);
+        const largeArcFlag = sweep > Math.PI ? 1 : 0;
+        this.path += `A ${radius} ${radius} 0 ${largeArcFlag} ${sweepFlag} ${endX} ${endY} `;
+    }
 
-        const newConnections = [];
-        connections.forEach(conn => {
-            const [startIdx, endIdx] = conn;
-            if (!nodesToDelete.has(nodes[startIdx]) && !nodesToDelete.has(nodes[endIdx])) {
-                newConnections.push([oldIndexToNewIndexMap.get(startIdx), oldIndexToNewIndexMap.get(endIdx)]);
-            }
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        const pointAt = angle => ({
+            x: x + radiusX * Math.cos(angle) * Math.cos(rotation) - radiusY * Math.sin(angle) * Math.sin(rotation),
+            y: y + radiusX * Math.cos(angle) * Math.sin(rotation) + radiusY * Math.sin(angle) * Math.cos(rotation)
         });
+        const start = pointAt(startAngle);
+        this.lineTo(start.x, start.y);
 
-        nodes = newNodes;
-        connections = newConnections;
-        selectedNode = null;
-        draw();
-        saveState();
-        return; // Stop further execution
+        const arcTo = (point, largeArcFlag) => {
+            this.path += `A ${radiusX} ${radiusY} ${rotation * 180 / Math.PI} ${largeArcFlag} ${counterclockwise ? 0 : 1} ${point.x} ${point.y} `;
+        };
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        if (sweep >= Math.PI * 2) {
+            // Two halves, as for full circles in arc()
+            arcTo(pointAt(startAngle + Math.PI), 1);
+            arcTo(start, 1);
+            return;
+        }
+        sweep = ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+        arcTo(pointAt(endAngle), sweep > Math.PI ? 1 : 0);
     }
 
-    if (selectedNode && (e.key === '+' || e.key === '=') && e.ctrlKey) {
-        e.preventDefault();
-        selectedNode.imageScale = Math.min(selectedNode.imageScale + 0.1, 3.0); // Increase image size
-        draw();
-        saveState();
-        return;
+    rect(x, y, width, height) {
+        this.path += `M ${x} ${y} h ${width} v ${height} h ${-width} Z `;
+        this.hasCurrentPoint = true;
     }
 
-    if (selectedNode && e.key === '-' && e.ctrlKey) {
-        e.preventDefault();
-        selectedNode.imageScale = Math.max(selectedNode.imageScale - 0.1, 0.1); // Decrease image size
-        draw();
-        saveState();
-        return;
+    roundRect(x, y, width, height, radius) {
+        const r = Math.min(Array.isArray(radius) ? radius[0] : radius, width / 2, height / 2);
+        this.path += `M ${x + r} ${y} H ${x + width - r} A ${r} ${r} 0 0 1 ${x + width} ${y + r} ` +
+            `V ${y + height - r} A ${r} ${r} 0 0 1 ${x + width - r} ${y + height} ` +
+            `H ${x + r} A ${r} ${r} 0 0 1 ${x} ${y + height - r} ` +
+            `V ${y + r} A ${r} ${r} 0 0 1 ${x + r} ${y} Z `;
+        this.hasCurrentPoint = true;
     }
 
-    if (selectedNode && (e.key === '+' || e.key === '=')) {
-        e.preventDefault();
-        selectedNode.radius = Math.min(selectedNode.radius + 5, MAX_NODE_RADIUS);
-        draw();
-        saveState();
-        return;
+    opacityAttribute() {
+        return this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : '';
     }
 
-    if (selectedNode && e.key === '-') {
-        e.preventDefault();
-        selectedNode.radius = Math.max(selectedNode.radius - 5, MIN_NODE_RADIUS);
-        draw();
-        saveState();
-        return;
+    fill() {
+        this.elements.push(`<path d="${this.path.trim()}" fill="${escapeXml(this.fillStyle)}"${this.opacityAttribute()}/>`);
     }
 
-    if (e.key === '\\' && selectedNode) {
-        e.preventDefault();
-        selectedNode.folded = !selectedNode.folded;
-        draw();
-        saveState();
-        return;
+    stroke() {
+        const dashArray = this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : '';
+        this.elements.push(`<path d="${this.path.trim()}" fill="none" stroke="${escapeXml(this.strokeStyle)}" ` +
+            `stroke-width="${this.lineWidth}"${dashArray}${this.opacityAttribute()}/>`);
     }
 
-    if (e.ctrlKey && e.key === 'z') {
-        e.preventDefault();
-        undo();
-        return;
+    fillRect(x, y, width, height) {
+        this.elements.push(`<rect x="${x}" y="${y}" width="${width}" height="${height}" ` +
+            `fill="${escapeXml(this.fillStyle)}"${this.opacityAttribute()}/>`);
     }
 
-    if (e.ctrlKey && e.key === 'y') {
-        e.preventDefault();
-        redo();
-        return;
+    fillText(text, x, y) {
+        const fontMatch = this.font.match(/^(?:(\S+)\s+)?([\d.]+)px\s+(.+)$/);
+        const fontWeight = fontMatch && fontMatch[1] ? ` font-weight="${escapeXml(fontMatch[1])}"` : '';
+        const fontSize = fontMatch ? fontMatch[2] : 10;
+        const fontFamily = fontMatch ? fontMatch[3] : 'sans-serif';
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const baseline = { middle: 'central', top: 'hanging', hanging: 'hanging', bottom: 'text-after-edge' }[this.textBaseline] || 'alphabetic';
+        this.elements.push(`<text x="${x}" y="${y}" font-family="${escapeXml(fontFamily)}" font-size="${fontSize}"${fontWeight} ` +
+            `text-anchor="${anchor}" dominant-baseline="${baseline}" fill="${escapeXml(this.fillStyle)}"` +
+            `${this.opacityAttribute()} xml:space="preserve">${escapeXml(text)}</text>`);
     }
 
-    if (e.ctrlKey && e.shiftKey && selectedNode) {
-        e.preventDefault();
-        const colorPicker = document.getElementById('color-picker');
-        colorPicker.value = selectedNode.color;
-        colorPicker.click();
-        return;
+    drawImage(image, x, y, width, height) {
+        this.elements.push(`<image href="${escapeXml(imageToDataURL(image))}" x="${x}" y="${y}" ` +
+            `width="${width}" height="${height}" preserveAspectRatio="none"${this.opacityAttribute()}/>`);
     }
 
-    // General text editing logic for selected node
-    if (selectedNode && textEditing) {
-        if (e.key === 'Backspace') {
-            selectedNode.text = selectedNode.text.slice(0, -1);
-        } else if (e.key.length === 1 && !(e.ctrlKey || e.metaKey)) { // Only append single character keys if Ctrl/Cmd is not pressed
-            selectedNode.text += e.key;
-        }
-        draw();
-    } else if (selectedNode && e.key.length === 1 && !(e.ctrlKey || e.metaKey)) { // Start text editing if a character key is pressed on a selected node and Ctrl/Cmd is not pressed
-        if (isFirstKeyAfterSelection) {
-            selectedNode.text = ''; // Clear text on first key press
-            isFirstKeyAfterSelection = false;
-        }
-        selectedNode.text += e.key;
-        textEditing = true;
-        draw();
+    toSvg(backgroundColor) {
+        const { width, height } = this.canvas;
+        const background = backgroundColor ? `<rect width="100%" height="100%" fill="${escapeXml(backgroundColor)}"/>` : '';
+        return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            `${background}${this.elements.join('\n')}\n</svg>\n`;
     }
+}
 
-    // Start/Stop cursor blinking
-    if (textEditing && !cursorBlinkInterval) {
-        cursorVisible = true;
-        cursorBlinkInterval = setInterval(() => {
-            cursorVisible = !cursorVisible;
-            draw();
-        }, 500);
-    } else if (!textEditing && cursorBlinkInterval) {
-        clearInterval(cursorBlinkInterval);
-        cursorBlinkInterval = null;
-        cursorVisible = true; // Ensure cursor is visible when not editing
-        draw();
-        saveState(); // Save state when text editing stops
+// SVG files must be self-contained, so images referenced by path (the link icon)
+// are inlined as data URLs
+const imageDataURLCache = new WeakMap();
+function imageToDataURL(image) {
+    if (image.src && image.src.startsWith('data:')) {
+        return image.src;
+    }
+    if (!imageDataURLCache.has(image)) {
+        try {
+            const scratch = document.createElement('canvas');
+            scratch.width = image.naturalWidth || image.width;
+            scratch.height = image.naturalHeight || image.height;
+            scratch.getContext('2d').drawImage(image, 0, 0);
+            imageDataURLCache.set(image, scratch.toDataURL('image/png'));
+        } catch (error) {
+            // Tainted canvas (e.g. opened from file://), fall back to the original reference
+            imageDataURLCache.set(image, image.src);
+        }
     }
+    return imageDataURLCache.get(image);
+}
 
-    });
+// Returns the nodes and connections to export: the whole map, or the subtree under rootNode
+function getExportSelection(rootNode) {
+    if (!rootNode) {
+        return { exportNodes: nodes, exportConnections: connections };
+    }
+    const exportNodes = [rootNode, ...getAllDescendants(rootNode)];
+    const exportIds = new Set(exportNodes.map(node => node.id));
+    return {
+        exportNodes: exportNodes,
+        exportConnections: connections.filter(c => exportIds.has(c.from) && exportIds.has(c.to))
+    };
+}
 
-function isValidUrl(string) {
+// Draws the given part of the map onto targetCtx with the camera framing `bounds` at `scale`.
+// Works by pointing the global render state at the target for the duration of the call.
+function renderMapTo(targetCtx, exportNodes, exportConnections, bounds, scale) {
+    const saved = { ctx, camera, nodes, connections, relationships, selectedNode, selectedNodes, selectedRelationship, textEditing, drawingConnection, searchResultSet };
+    const exportIds = new Set(exportNodes.map(node => node.id));
+    ctx = targetCtx;
+    camera = {
+        x: (bounds.minX + bounds.maxX) / 2,
+        y: (bounds.minY + bounds.maxY) / 2,
+        zoom: scale
+    };
+    nodes = exportNodes;
+    connections = exportConnections;
+    relationships = relationships.filter(r => exportIds.has(r.from) && exportIds.has(r.to));
+    selectedNode = null; // No selection glow or caret in exports
+    selectedNodes = new Set();
+    selectedRelationship = null;
+    searchResultSet = new Set(); // Nor search highlights
+    textEditing = false;
+    drawingConnection = false;
     try {
-        new URL(string);
-        return true;
-    } catch (e) {
-        return false;
+        drawConnections();
+        nodes.forEach(node => {
+            if (isNodeVisible(node)) {
+                drawNode(node);
+            }
+        });
+        drawRelationships();
+    } finally {
+        ({ ctx, camera, nodes, connections, relationships, selectedNode, selectedNodes, selectedRelationship, textEditing, drawingConnection, searchResultSet } = saved);
     }
 }
 
-window.addEventListener('paste', (e) => {
-    if (selectedNode) {
-        const clipboardText = e.clipboardData.getData('text');
-        const items = e.clipboardData.items;
+function exportMap(format, scale, subtreeOnly, transparent) {
+    const { exportNodes, exportConnections } = getExportSelection(subtreeOnly ? selectedNode : null);
 
-        // Check for image data
-        for (let i = 0; i < items.length; i++) {
-            if (items[i].type.indexOf('image') !== -1) {
-                const blob = items[i].getAsFile();
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    const img = new Image();
-                    img.src = event.target.result;
-                    img.onload = () => {
-                        // Calculate initial imageScale to fit within node radius
-                        const nodeDiameter = selectedNode.radius * 2;
-                        const scale = nodeDiameter / Math.max(img.width, img.height);
-                        selectedNode.imageScale = scale; // Fit within the node
-                        selectedNode.image = img; // Store the actual Image object
-                        selectedNode.imageDataURL = event.target.result; // Store Data URL for saving
-                        draw();
-                        saveState();
-                    };
-                };
-                reader.readAsDataURL(blob);
-                return; // Image found, stop processing
-            }
+    // Measure only what is drawn: nodes hidden under folded ancestors are skipped
+    const saved = { nodes, connections };
+    nodes = exportNodes;
+    connections = exportConnections;
+    let bounds;
+    try {
+        bounds = getVisibleNodesBounds(nodes);
+    } finally {
+        ({ nodes, connections } = saved);
+    }
+    if (!bounds) {
+        alert('Nothing to export.');
+        return;
+    }
+    bounds.minX -= EXPORT_PADDING;
+    bounds.minY -= EXPORT_PADDING;
+    bounds.maxX += EXPORT_PADDING;
+    bounds.maxY += EXPORT_PADDING;
+
+    const worldWidth = bounds.maxX - bounds.minX;
+    const worldHeight = bounds.maxY - bounds.minY;
+    if (format === 'png') {
+        const maxScale = EXPORT_MAX_CANVAS_SIZE / Math.max(worldWidth, worldHeight);
+        if (scale > maxScale) {
+            alert(`The map is too large to export at ${scale}x. Exporting at ${maxScale.toFixed(2)}x instead.`);
+            scale = maxScale;
         }
+    }
+    const width = Math.ceil(worldWidth * scale);
+    const height = Math.ceil(worldHeight * scale);
 
-        // If no image, check for URL
-        if (isValidUrl(clipboardText)) {
-            selectedNode.url = clipboardText;
-            draw();
-            saveState();
-        } else {
-            // Paste text as child nodes
-            const paragraphs = clipboardText.split(/\n\s*\n/);
-            let lastNode = selectedNode;
-            paragraphs.forEach(paragraph => {
-                if (paragraph.trim() !== '') {
-                    const parentNode = selectedNode;
-                    let newX = lastNode.x;
-                    let newY = lastNode.y + NODE_RADIUS * 1.5;
+    if (format === 'svg') {
+        const svgCtx = new SvgRenderContext(width, height);
+        renderMapTo(svgCtx, exportNodes, exportConnections, bounds, scale);
+        const blob = new Blob([svgCtx.toSvg(transparent ? null : theme.background)], { type: 'image/svg+xml' });
+        downloadBlob(blob, 'mindmap.svg');
+    } else {
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = width;
+        exportCanvas.height = height;
+        const exportCtx = exportCanvas.getContext('2d');
+        if (!transparent) {
+            exportCtx.fillStyle = theme.background;
+            exportCtx.fillRect(0, 0, width, height);
+        }
+        renderMapTo(exportCtx, exportNodes, exportConnections, bounds, scale);
+        exportCanvas.toBlob(blob => {
+            if (blob) {
+                downloadBlob(blob, 'mindmap.png');
+            } else {
+                alert('Error exporting mind map: the image could not be created.');
+            }
+        }, 'image/png');
+    }
+    draw(); // Restore icon hit boxes computed for the on-screen camera
+}
 
-                    // Adjust position to avoid overlap
-                    let attempts = 0;
-                    const maxAttempts = 100; // Prevent infinite loops
-                    const shiftAmount = NODE_RADIUS * 1.5; // Amount to shift if collision occurs
+const exportDialog = document.getElementById('export-dialog');
 
-                    while (checkCollision(newX, newY, NODE_RADIUS) && attempts < maxAttempts) {
-                        newY += shiftAmount;
-                        attempts++;
-                    }
+function openExportDialog() {
+    const subtreeCheckbox = document.getElementById('export-subtree');
+    subtreeCheckbox.disabled = !selectedNode;
+    subtreeCheckbox.checked = subtreeCheckbox.checked && !!selectedNode;
+    exportDialog.classList.remove('hidden');
+}
 
-                    const newNode = {
-                        x: newX,
-                        y: newY,
-                        text: paragraph.trim(),
-                        type: 'child',
-                        shape: 'square',
-                        color: selectedNode.color, // Inherit color from parent
-                        radius: NODE_RADIUS, // Add radius property
-                        url: null,
-                        folded: false, // New property for folding/unfolding
-                        image: null, // Will store the actual Image object
-                        imageDataURL: null, // Will store the Data URL string for saving
-                        imageScale: 1.0 // New property for image scaling
-                    };
-                    nodes.push(newNode);
-                    const parentIndex = nodes.indexOf(parentNode);
-                    const newIndex = nodes.length - 1;
-                    connections.push([parentIndex, newIndex]);
-                    lastNode = newNode;
-                }
-            });
-            draw();
-            saveState();
-        }
+document.getElementById('export-confirm').addEventListener('click', () => {
+    const format = document.getElementById('export-format').value;
+    const scale = parseFloat(document.getElementById('export-scale').value);
+    if (!(scale > 0)) {
+        alert('Please enter a scale greater than 0.');
+        return;
     }
+    exportDialog.classList.add('hidden');
+    exportMap(
+        format,
+        scale,
+        document.getElementById('export-subtree').checked,
+        document.getElementById('export-transparent').checked
+    );
+});
+document.getElementById('export-cancel').addEventListener('click', () => {
+    exportDialog.classList.add('hidden');
 });
 
-function saveMap() {
-    const data = {
-        nodes: nodes,
-        connections: connections,
-        camera: camera
-    };
-    const json = JSON.stringify(data, null, 4);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'mindmap.dimap';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-}
+const saveDialog = document.getElementById('save-dialog');
+const saveFormatSelect = document.getElementById('save-format');
 
-function saveState() {
-    const state = {
-        nodes: nodes.map(node => ({
-            ...node,
-            image: undefined // Don't save the Image object directly
-        })),
-        connections: connections,
-        camera: camera
-    };
-    localStorage.setItem('mindmap', JSON.stringify(state));
+Object.keys(MAP_FILE_FORMATS).forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = MAP_FILE_FORMATS[key].label;
+    saveFormatSelect.appendChild(option);
+});
 
-    // Save to history stack
-    if (historyPointer < history.length - 1) {
-        history = history.slice(0, historyPointer + 1);
+document.getElementById('save-confirm').addEventListener('click', () => {
+    saveDialog.classList.add('hidden');
+    saveMap(saveFormatSelect.value);
+});
+document.getElementById('save-cancel').addEventListener('click', () => {
+    saveDialog.classList.add('hidden');
+});
+
+const searchBar = document.getElementById('search-bar');
+const searchInput = document.getElementById('search-input');
+const replaceInput = document.getElementById('replace-input');
+const searchCaseCheckbox = document.getElementById('search-case');
+const searchRegexCheckbox = document.getElementById('search-regex');
+const searchCount = document.getElementById('search-count');
+
+// Returns a RegExp for the find bar query, or null when the query is empty or invalid
+function getSearchPattern(global = false) {
+    const query = searchInput.value;
+    if (query === '') {
+        return null;
     }
-    history.push(JSON.parse(JSON.stringify(state))); // Deep copy
-    if (history.length > MAX_HISTORY_SIZE) {
-        history.shift();
-    } else {
-        historyPointer++;
+    const source = searchRegexCheckbox.checked ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const flags = (searchCaseCheckbox.checked ? '' : 'i') + (global ? 'g' : '');
+    try {
+        return new RegExp(source, flags);
+    } catch (error) {
+        return null; // Incomplete regular expression while typing
     }
 }
 
-function loadStateFromHistory(index) {
-    if (index >= 0 && index < history.length) {
-        const state = history[index];
-        let imagesToLoad = 0;
-        let imagesLoaded = 0;
+// Lists every node whose text, URL, note or tags match, in outline (depth-first) order
+function updateSearchResults() {
+    const pattern = getSearchPattern();
+    const ordered = [];
+    const collect = entry => {
+        ordered.push(entry.node);
+        entry.children.forEach(collect);
+    };
+    buildOutline().forEach(collect);
 
-        const newNodes = state.nodes.map(node => {
-            const newNode = {
-                ...node,
-                image: null, // Initialize image to null, will be loaded asynchronously
-            };
-            if (node.imageDataURL) {
-                imagesToLoad++;
-                const img = new Image();
-                img.src = node.imageDataURL;
-                img.onload = () => {
-                    newNode.image = img;
-                    imagesLoaded++;
-                    if (imagesLoaded === imagesToLoad) {
-                        // All images for this state are loaded, now draw
-                        draw();
-                    }
-                };
-                img.onerror = () => {
-                    console.error("Error loading image for node:", newNode);
-                    newNode.image = null;
-                    newNode.imageDataURL = null;
-                    imagesLoaded++; // Still count as loaded even if error
-                    if (imagesLoaded === imagesToLoad) {
-                        draw();
-                    }
-                };
-            }
-            return newNode;
-        });
+    searchResults = pattern ? ordered.filter(node => pattern.test(node.text) || (node.url && pattern.test(node.url)) ||
+        (node.note && pattern.test(node.note)) || (node.tags || []).some(tag => pattern.test(tag))) : [];
+    searchResultSet = new Set(searchResults);
+    searchResultIndex = Math.min(searchResultIndex, searchResults.length - 1);
+    searchInput.classList.toggle('invalid', searchInput.value !== '' && !pattern);
+    updateSearchCount();
+    draw();
+}
 
-        nodes = newNodes; // Assign newNodes to global nodes array
-        connections = state.connections;
-        camera = state.camera;
-        selectedNode = null; // Clear selected node on undo/redo
+function updateSearchCount() {
+    if (searchResults.length === 0) {
+        searchCount.textContent = searchInput.value === '' ? '' : 'No results';
+    } else if (searchResultIndex === -1) {
+        searchCount.textContent = `${searchResults.length} result${searchResults.length === 1 ? '' : 's'}`;
+    } else {
+        searchCount.textContent = `${searchResultIndex + 1} of ${searchResults.length}`;
+    }
+}
 
-        // If no images to load, or all images are already loaded (e.g., from cache), draw immediately
-        if (imagesToLoad === 0 || imagesLoaded === imagesToLoad) {
-            draw();
+// Moves the camera to a search result, unfolding any folded ancestors that hide it
+function showSearchResult(index) {
+    const node = searchResults[index];
+    if (!node) {
+        return;
+    }
+    searchResultIndex = index;
+    let unfolded = false;
+    for (let ancestor = getParentNode(node); ancestor; ancestor = getParentNode(ancestor)) {
+        if (ancestor.folded) {
+            ancestor.folded = false;
+            unfolded = true;
+        }
+        if (ancestor === node) {
+            break; // Connection cycle
         }
+    }
+    camera.x = node.x;
+    camera.y = node.y;
+    commitTextEditing();
+    selectNode(node);
+    updateSearchCount();
+    draw();
+    if (unfolded) {
+        saveState();
+    }
+}
 
-        localStorage.setItem('mindmap', JSON.stringify(state)); // Save current state to local storage after loading from history
+function stepSearchResult(direction) {
+    if (searchResults.length === 0) {
+        return;
     }
+    const nextIndex = (searchResultIndex + direction + searchResults.length) % searchResults.length;
+    showSearchResult(searchResultIndex === -1 && direction < 0 ? searchResults.length - 1 : nextIndex);
 }
 
-function undo() {
-    if (historyPointer > 0) {
-        historyPointer--;
-        loadStateFromHistory(historyPointer);
+// Replaces matches in a node's text, URL, note and tags; returns whether anything changed
+function replaceInNode(node, pattern, replacement) {
+    const newText = node.text.replace(pattern, replacement);
+    const newUrl = node.url ? node.url.replace(pattern, replacement) : node.url;
+    const newNote = node.note ? node.note.replace(pattern, replacement) : node.note;
+    const tags = node.tags || [];
+    const newTags = normalizeTags(tags.map(tag => tag.replace(pattern, replacement))); // Emptied tags are removed
+    const tagsChanged = newTags.join(',') !== tags.join(','); // Tag names never contain commas
+    const changed = newText !== node.text || newUrl !== node.url || newNote !== node.note || tagsChanged;
+    tags.forEach(tag => {
+        // A tag renamed here keeps its legend colour and icon, unless the new name has its own
+        const newName = normalizeTagName(tag.replace(pattern, replacement));
+        if (newName && newName !== tag && tagDefinitions.some(definition => definition.name === tag) &&
+            !tagDefinitions.some(definition => definition.name === newName)) {
+            const { color, icon } = getTagDefinition(tag);
+            setTagDefinition(newName, { color: color, icon: icon });
+        }
+    });
+    node.text = newText;
+    node.url = newUrl || null;
+    node.note = newNote || '';
+    if (tagsChanged) {
+        node.tags = newTags; // A new array, so history sees the change
     }
+    return changed;
 }
 
-function redo() {
-    if (historyPointer < history.length - 1) {
-        historyPointer++;
-        loadStateFromHistory(historyPointer);
+function replaceCurrentResult() {
+    const pattern = getSearchPattern(true);
+    if (!pattern || searchResults.length === 0) {
+        return;
+    }
+    if (searchResultIndex === -1) {
+        showSearchResult(0); // First show what is going to be replaced
+        return;
+    }
+    const changed = replaceInNode(searchResults[searchResultIndex], pattern, replaceInput.value);
+    updateSearchResults();
+    if (changed) {
+        saveState('Replace');
+    }
+    if (searchResults.length > 0) {
+        showSearchResult(Math.max(searchResultIndex, 0) % searchResults.length);
     }
 }
 
-function loadMap() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.dimap';
-    input.onchange = e => {
-        const file = e.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = event => {
-                try {
-                    const loadedData = JSON.parse(event.target.result);
-                    nodes = loadedData.nodes || [];
-                    connections = loadedData.connections || [];
-                    camera = loadedData.camera || { x: 0, y: 0, zoom: 1 };
-                    // Clear history when loading a new map
-                    history = [];
-                    historyPointer = -1;
-                    saveState(); // Save the loaded state to history and local storage
-                    draw();
-                    location.reload(); // Auto-refresh the page
-                } catch (error) {
-                    console.error('Error parsing mind map file:', error);
-                    alert('Error loading mind map: Invalid file format.');
-                }
-            };
-            reader.readAsText(file);
+function replaceAllResults() {
+    const pattern = getSearchPattern(true);
+    if (!pattern) {
+        return;
+    }
+    let changedCount = 0;
+    searchResults.forEach(node => {
+        if (replaceInNode(node, pattern, replaceInput.value)) {
+            changedCount++;
         }
-    };
-    input.click();
+    });
+    searchResultIndex = -1;
+    updateSearchResults();
+    if (changedCount > 0) {
+        saveState('Replace all'); // One undo step for the whole replacement
+    }
+    searchCount.textContent = `Replaced in ${changedCount} node${changedCount === 1 ? '' : 's'}`;
+}
+
+function openSearchBar(withReplace) {
+    searchBar.classList.remove('hidden');
+    if (withReplace) {
+        searchBar.classList.add('replace-mode');
+    }
+    searchInput.focus();
+    searchInput.select();
+    updateSearchResults();
+}
+
+function closeSearchBar() {
+    searchBar.classList.add('hidden');
+    searchBar.classList.remove('replace-mode');
+    searchResults = [];
+    searchResultSet = new Set();
+    searchResultIndex = -1;
+    searchInput.blur();
+    draw();
 }
 
+searchInput.addEventListener('input', () => {
+    searchResultIndex = -1;
+    updateSearchResults();
+});
+searchCaseCheckbox.addEventListener('change', updateSearchResults);
+searchRegexCheckbox.addEventListener('change', updateSearchResults);
+
+searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        stepSearchResult(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeSearchBar();
+    }
+});
+replaceInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        replaceCurrentResult();
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeSearchBar();
+    }
+});
+
+document.getElementById('search-prev').addEventListener('click', () => stepSearchResult(-1));
+document.getElementById('search-next').addEventListener('click', () => stepSearchResult(1));
+document.getElementById('search-toggle-replace').addEventListener('click', () => {
+    searchBar.classList.toggle('replace-mode');
+});
+document.getElementById('replace-one').addEventListener('click', replaceCurrentResult);
+document.getElementById('replace-all').addEventListener('click', replaceAllResults);
+document.getElementById('search-close').addEventListener('click', closeSearchBar);
+
 // Attach event listeners to buttons
-document.getElementById('save-button').addEventListener('click', saveMap);
+document.getElementById('save-button').addEventListener('click', () => {
+    saveDialog.classList.remove('hidden');
+});
 document.getElementById('load-button').addEventListener('click', loadMap);
+document.getElementById('maps-button').addEventListener('click', openMapsDialog);
+document.getElementById('export-button').addEventListener('click', openExportDialog);
+document.getElementById('layout-button').addEventListener('click', openLayoutDialog);
+document.getElementById('history-button').addEventListener('click', toggleHistoryPanel);
+document.getElementById('branch-button').addEventListener('click', openBranchDialog);
+document.getElementById('style-button').addEventListener('click', openStyleDialog);
+document.getElementById('task-button').addEventListener('click', openTaskDialog);
+document.getElementById('theme-button').addEventListener('click', openThemeDialog);
+document.getElementById('present-button').addEventListener('click', openPresentationDialog);
+document.getElementById('share-button').addEventListener('click', openCollabDialog);
 document.getElementById('help-button').addEventListener('click', () => {
     window.open('help.html', 'Mind Mapper Controls', 'width=800,height=600');
 });
@@ -1065,8 +7917,9 @@ const colorPicker = document.getElementById('color-picker');
 colorPicker.addEventListener('change', (e) => {
     if (selectedNode) {
         const newColor = e.target.value;
-        selectedNode.color = newColor;
-        updateNodeAndChildrenColor(selectedNode, newColor);
+        selectedNodes.forEach(node => {
+            updateNodeAndChildrenColor(node, newColor);
+        });
         draw();
         saveState();
     }
@@ -1074,72 +7927,46 @@ colorPicker.addEventListener('change', (e) => {
 
 function updateNodeAndChildrenColor(node, newColor) {
     node.color = newColor;
-    const nodeIndex = nodes.indexOf(node);
-    const childrenConnections = connections.filter(c => c[0] === nodeIndex);
-    childrenConnections.forEach(conn => {
-        const childNode = nodes[conn[1]];
-        if (childNode) {
-            updateNodeAndChildrenColor(childNode, newColor);
-        }
+    getChildNodes(node).forEach(childNode => {
+        updateNodeAndChildrenColor(childNode, newColor);
     });
 }
 
-canvas.addEventListener('contextmenu', e => e.preventDefault());
-
-function loadState() {
-    const state = JSON.parse(localStorage.getItem('mindmap'));
-    if (state) {
-        nodes = state.nodes.map(node => {
-            const newNode = {
-                ...node,
-                url: node.url || null,
-                radius: node.radius || NODE_RADIUS,
-                folded: node.folded || false,
-                image: null, // Initialize image to null, will be loaded asynchronously
-                imageDataURL: node.imageDataURL || null, // Load the Data URL string
-                imageScale: node.imageScale || 1.0
-            };
+function openNodeColorPicker() {
+    colorPicker.value = getNodeColor(selectedNode);
+    colorPicker.click();
+}
 
-            if (newNode.imageDataURL) {
-                const img = new Image();
-                img.src = newNode.imageDataURL;
-                img.onload = () => {
-                    newNode.image = img; // Store the loaded Image object
-                    draw(); // Redraw after image loads
-                };
-                // Handle potential errors during image loading
-                img.onerror = () => {
-                    console.error("Error loading image for node:", newNode);
-                    newNode.image = null; // Clear image if loading fails
-                    newNode.imageDataURL = null;
-                    draw();
-                };
-            }
-            return newNode;
-        }) || [];
-        connections = state.connections || [];
-        camera = state.camera || { x: 0, y: 0, zoom: 1 };
-    }
+function toggleFoldOfSelection() {
+    const folded = !selectedNode.folded; // The whole selection follows the primary node
+    selectedNodes.forEach(node => {
+        node.folded = folded;
+    });
+    draw();
+    saveState();
+}
 
-    // If no nodes are loaded, create a default father node in the center
-    if (nodes.length === 0) {
-        nodes.push({
-            x: 0,
-            y: 0,
-            text: 'Father Node',
-            type: 'father',
-            shape: 'circle',
-            color: NODE_COLOR,
-            radius: NODE_RADIUS,
-            url: null,
-            folded: false,
-            image: null,
-            imageDataURL: null,
-            imageScale: 1.0
-        });
+// Deletes the selected relationship, or the selected nodes with their children
+function deleteSelection() {
+    if (selectedRelationship) {
+        deleteSelectedRelationship();
+    } else {
+        deleteSelectedNodes();
     }
+    draw();
+    saveState();
 }
 
-loadState();
-saveState(); // Save initial state to history after loading
+Object.entries(NODE_TOOLBAR_ACTIONS).forEach(([id, action]) => {
+    document.getElementById(id).addEventListener('click', () => {
+        commitTextEditing();
+        if (action.isEnabled()) {
+            action.run();
+        }
+    });
+});
+
+canvas.addEventListener('contextmenu', e => e.preventDefault());
+
+loadState(); // Opens the most recent map once the workspace is ready
 draw();
\ No newline at end of file